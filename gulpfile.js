@@ -66,8 +66,12 @@ const combo = {
     'ngn.js'
   ],
   'eventemitter.js': [
+    'pattern.js',
     'eventemitter.js',
-    'shared/eventemitter.js'
+    'shared/eventemitter.js',
+    'eventpipeline.js',
+    'topology.js',
+    'bridge.js'
   ],
   'exception.js': [
     'shared/exception.js',
@@ -660,8 +664,12 @@ const sources = {
       'ngn.js'
     ],
     'eventemitter.js': [
+      'pattern.js',
       'eventemitter.js',
-      'shared/eventemitter.js'
+      'shared/eventemitter.js',
+      'eventpipeline.js',
+      'topology.js',
+      'bridge.js'
     ],
     'exception.js': [
       'shared/exception.js',
@@ -688,7 +696,15 @@ const sources = {
 
   sanity: [
     'sanity.js'
-  ]
+  ],
+
+  // Standalone files (not part of the library bundles).
+  worker: {
+    'worker.js': [
+      'pattern.js',
+      'worker.js'
+    ]
+  }
 }
 
 gulp.task('build-ngn', function (next) {
@@ -789,6 +805,33 @@ gulp.task('build-ngn', function (next) {
     })
   }
 
+  /**
+   * 4. MINIFY WORKER FILES
+   */
+  tasks.add(() => {
+    gutil.log('  ==> Build worker files'.yellow.bold)
+  })
+
+  Object.keys(sources.worker).forEach((filename) => {
+    tasks.add((next) => {
+      gutil.log(`      Create ${filename.replace('.js', '.min.js')}`.gray)
+
+      sources.worker[filename].forEach((src) => {
+        gutil.log(`      ...included ${src}`.gray)
+      })
+
+      gulp.src(expand(sources.worker[filename]))
+        .pipe(sourcemaps.init())
+        .pipe(concat(filename.replace('.js', '.min.js')))
+        .pipe(babel(babelConfig))
+        .pipe(uglify(minifyConfig))
+        .pipe(header(headerComment))
+        .pipe(sourcemaps.write('./sourcemaps', srcmapcfg))
+        .pipe(gulp.dest(DIR.dist))
+        .on('end', next)
+    })
+  })
+
   /**
    * 5. Create Core Library
    */
@@ -175,8 +175,12 @@ var getFiles = function () {
       'src/init/core.js',
       'src/shared/core.js',
       'src/ngn.js',
+      'src/pattern.js',
       'src/eventemitter.js',
       'src/shared/eventemitter.js',
+      'src/eventpipeline.js',
+      'src/topology.js',
+      'src/bridge.js',
       'src/shared/exception.js',
       'src/init/exception.js',
       'src/dom.js',
@@ -194,6 +198,12 @@ var getFiles = function () {
     ]
   }
 
+  // The worker shim is loaded by a Web Worker (not the test page).
+  files.push({
+    pattern: 'src/worker.js',
+    included: false
+  })
+
   if (process.argv.indexOf('--unit') >= 0) {
     return files.concat([
       'test/' + process.argv[process.argv.indexOf('--unit') + 1] + '.js',
@@ -0,0 +1,488 @@
+'use strict'
+
+if (!window.NGN || !NGN.EventEmitter) {
+  throw new Error('The event bridges are dependent on the presence of NGN.EventEmitter.')
+}
+
+/**
+ * @class EventEmitter
+ * Bridges which exchange events with other tabs (see #share), workers
+ * (see #connectWorker) and frames (see #bridgeFrame).
+ */
+NGN.inherit(Object.defineProperties({}, {
+  /**
+   * @method share
+   * Relay events to other tabs/windows of the same application (origin).
+   * This requires the events to be shared in each tab:
+   *
+   * ```
+   * NGN.BUS.share(['auth.logout', 'cart.*'])
+   *
+   * NGN.BUS.on('auth.logout', function () {
+   *   console.log(this.origin) // "local" or "tab"
+   *   logout()
+   * })
+   * ```
+   * Events are relayed over a `BroadcastChannel`. Browsers without
+   * `BroadcastChannel` support use `localStorage` (`storage` events)
+   * instead.
+   *
+   * Only events triggered locally are relayed, so events never bounce
+   * back and forth between tabs. Events received from other tabs are
+   * identified by an `origin` of `tab` in the handler scope (see #emit).
+   * Events are relayed after all other handlers have been executed. If
+   * a handler stops the propagation of an event, it is not relayed.
+   *
+   * Payloads are serialized as JSON, so only JSON-safe values (no
+   * functions, DOM elements, etc) arrive in other tabs.
+   * @param {string|RegExp|array} patterns
+   * The event(s) to share. Wildcard and regular expression event names
+   * are supported.
+   * @param {object} [options]
+   * @param {string} [options.channel=ngn]
+   * The name of the channel. Only tabs using the same channel exchange events.
+   * @return {object}
+   * A handle with the `channel` name and a `close()` method, which stops
+   * sharing the events.
+   */
+  share: NGN.const(function (patterns, options) {
+    options = options || {}
+    patterns = Array.isArray(patterns) ? patterns : [patterns]
+
+    const channelName = NGN.coalesce(options.channel, 'ngn')
+    const matches = this.createEventMatcher(patterns)
+    const source = this.createBridgeId()
+
+    let sequence = 0
+    let transport
+
+    const receive = (message) => {
+      try {
+        message = typeof message === 'string' ? JSON.parse(message) : message
+      } catch (e) {
+        return
+      }
+
+      if (!message || message.channel !== channelName || message.source === source || !matches(message.event)) {
+        return
+      }
+
+      this.trigger(message.event, JSON.parse(message.payload), null, { origin: 'tab' })
+    }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      const channel = new BroadcastChannel(channelName)
+
+      channel.onmessage = (event) => receive(event.data)
+
+      transport = {
+        send: (message) => channel.postMessage(message),
+        close: () => channel.close()
+      }
+    } else if (typeof localStorage !== 'undefined') {
+      // Storage events are only triggered in other tabs, and only when the
+      // value changes (messages contain a sequence number to guarantee this).
+      const key = 'ngn.share.' + channelName
+      const listener = (event) => {
+        if (event.key === key && event.newValue) {
+          receive(event.newValue)
+        }
+      }
+
+      window.addEventListener('storage', listener)
+
+      transport = {
+        send: (message) => {
+          localStorage.setItem(key, JSON.stringify(message))
+          localStorage.removeItem(key)
+        },
+        close: () => window.removeEventListener('storage', listener)
+      }
+    } else {
+      throw new Error('Events cannot be shared because this environment does not support BroadcastChannel or localStorage.')
+    }
+
+    const unrelay = this.relayEvents(patterns, (eventName, args) => {
+      let payload
+
+      try {
+        payload = JSON.stringify(args)
+      } catch (err) {
+        throw new Error('The "' + eventName + '" event cannot be shared because the payload is not JSON-safe (' + err.message + ').')
+      }
+
+      transport.send({
+        channel: channelName,
+        source: source,
+        sequence: ++sequence,
+        event: eventName,
+        payload: payload
+      })
+    })
+
+    return Object.defineProperties({}, {
+      channel: NGN.const(channelName),
+
+      close: NGN.const(() => {
+        unrelay()
+        transport.close()
+      })
+    })
+  }),
+
+  /**
+   * @method connectWorker
+   * Exchange events with a Web Worker. The worker must load the worker
+   * shim (`worker.js`), which provides a compatible `NGN.BUS` within the
+   * worker:
+   *
+   * ```
+   * // Main thread
+   * const worker = new Worker('csv.js')
+   *
+   * NGN.BUS.connectWorker(worker, {
+   *   publish: ['csv.parse'],
+   *   subscribe: ['csv.*ed']
+   * })
+   *
+   * NGN.BUS.on('csv.parsed', (rows) => render(rows))
+   * NGN.BUS.emit('csv.parse', text)
+   *
+   * // csv.js
+   * importScripts('worker.min.js')
+   *
+   * NGN.BUS.on('csv.parse', (text) => NGN.BUS.emit('csv.parsed', parse(text)))
+   * ```
+   * Events are exchanged over a dedicated `MessageChannel`, so the
+   * worker's own messages (`onmessage`/`postMessage`) are not affected.
+   *
+   * Like #share, only events triggered locally are sent to the worker.
+   * Events received from the worker are identified by an `origin` of
+   * `worker` in the handler scope (see #emit).
+   * @param {Worker} worker
+   * The worker (or any object with a compatible `postMessage` method,
+   * such as a `SharedWorker` port).
+   * @param {object} [options]
+   * @param {string|RegExp|array} [options.publish]
+   * The event(s) sent to the worker.
+   * @param {string|RegExp|array} [options.subscribe]
+   * The event(s) accepted from the worker. Other events triggered within
+   * the worker are ignored.
+   * @param {function} [options.transfer]
+   * Identifies the transferable objects (i.e. `ArrayBuffer`) within the
+   * payload of an event sent to the worker. It receives the event name
+   * and an array of the event arguments, and returns an array of the
+   * transferable objects. Transferred objects can no longer be used in
+   * the main thread.
+   * @return {object}
+   * A handle with a `close()` method, which disconnects the worker.
+   */
+  connectWorker: NGN.const(function (worker, options) {
+    options = options || {}
+
+    const publish = [].concat(NGN.coalesce(options.publish, []))
+    const accepts = this.createEventMatcher([].concat(NGN.coalesce(options.subscribe, [])))
+    const channel = new MessageChannel()
+    const port = channel.port1
+
+    port.onmessage = (event) => {
+      let message = event.data
+
+      if (message && message.ngn === 'event' && typeof message.event === 'string' && Array.isArray(message.payload) && accepts(message.event)) {
+        this.trigger(message.event, message.payload, null, { origin: 'worker' })
+      }
+    }
+
+    worker.postMessage({ ngn: 'connect' }, [channel.port2])
+
+    const unrelay = this.relayEvents(publish, (eventName, args) => {
+      try {
+        port.postMessage({
+          ngn: 'event',
+          event: eventName,
+          payload: args
+        }, NGN.isFn(options.transfer) ? options.transfer(eventName, args) || [] : [])
+      } catch (err) {
+        throw new Error('The "' + eventName + '" event cannot be sent to the worker because the payload cannot be cloned (' + err.message + ').')
+      }
+    })
+
+    return Object.defineProperties({}, {
+      close: NGN.const(() => {
+        unrelay()
+        port.postMessage({ ngn: 'disconnect' })
+        port.close()
+      })
+    })
+  }),
+
+  /**
+   * @method bridgeFrame
+   * Exchange events with another window (typically an iframe) over
+   * `window.postMessage`. Both windows must create a bridge to each other:
+   *
+   * ```
+   * // Host page
+   * NGN.BUS.bridgeFrame(document.querySelector('iframe').contentWindow, {
+   *   origin: 'https://widgets.partner.com',
+   *   allow: ['cart.*'],
+   *   deny: ['cart.payment.*']
+   * })
+   *
+   * // Partner widget (within the iframe)
+   * NGN.BUS.bridgeFrame(window.parent, {
+   *   origin: 'https://shop.example.com',
+   *   allow: ['cart.*']
+   * })
+   * ```
+   * The bridges perform a handshake before exchanging events. Events
+   * triggered before the handshake completes are queued (up to the
+   * `buffer` size). Events triggered after the other window closes its
+   * bridge are discarded until it creates a new one.
+   *
+   * Messages are only accepted from the specified window and origin.
+   * Only allowed (and not denied) events are sent or accepted. Event names
+   * are matched the same way as handlers (see #getAllEvents), so wildcard
+   * and regular expression event names are supported.
+   *
+   * Like #share, only events triggered locally are sent to the other
+   * window. Events received from the other window are identified by an
+   * `origin` of `frame` in the handler scope (see #emit).
+   *
+   * Payloads must be compatible with the structured clone algorithm
+   * (no functions, DOM elements, etc). Events with other payloads are
+   * rejected with an error. Queued events which cannot be sent once the
+   * handshake completes are reported as `error` events.
+   * @param {Window} frameWindow
+   * The other window (i.e. `iframe.contentWindow` or `window.parent`).
+   * @param {object} options
+   * @param {string} options.origin
+   * The origin of the other window (i.e. `https://widgets.partner.com`).
+   * Wildcard origins (`*`) are not allowed. URLs are reduced to their
+   * origin, so `https://widgets.partner.com/` is accepted as well.
+   * @param {array} [options.allow]
+   * The events exchanged with the other window.
+   * @param {array} [options.deny]
+   * Events which are never exchanged, even if they are allowed.
+   * @param {number} [options.buffer=100]
+   * The maximum number of events queued while the handshake is pending.
+   * The oldest queued event is discarded when the queue is full.
+   * @return {object}
+   * A handle with a `connected` attribute (indicates the handshake is
+   * complete) and a `close()` method, which disconnects the bridge.
+   */
+  bridgeFrame: NGN.const(function (frameWindow, options) {
+    options = options || {}
+
+    if (typeof options.origin !== 'string' || options.origin.trim().length === 0 || options.origin.trim() === '*') {
+      throw new Error('A specific origin is required to bridge events with another window (received ' + NGN.typeof(options.origin) + ' "' + options.origin + '").')
+    }
+
+    let origin
+
+    try {
+      origin = new window.URL(options.origin.trim()).origin
+    } catch (e) {
+      throw new Error('The origin "' + options.origin + '" is not a valid URL.')
+    }
+
+    const buffer = NGN.coalesce(options.buffer, 100)
+    const allow = [].concat(NGN.coalesce(options.allow, []))
+    const allowed = this.createEventMatcher(allow)
+    const denied = this.createEventMatcher([].concat(NGN.coalesce(options.deny, [])))
+    const permits = (eventName) => typeof eventName === 'string' && allowed(eventName) && !denied(eventName)
+
+    let connected = false
+    let closed = false
+    let queue = []
+
+    const post = (message) => frameWindow.postMessage(message, origin)
+
+    // Queued messages are cloned later, so the payload is validated when
+    // it is queued. Cloning throws the same error as postMessage would.
+    const validate = (message) => {
+      if (typeof structuredClone === 'function') {
+        structuredClone(message)
+      } else if (typeof MessageChannel !== 'undefined') {
+        const channel = new MessageChannel()
+
+        try {
+          channel.port1.postMessage(message)
+        } finally {
+          channel.port1.close()
+          channel.port2.close()
+        }
+      }
+    }
+
+    const connect = () => {
+      if (connected) {
+        return
+      }
+
+      connected = true
+
+      // A message which cannot be sent does not prevent the remainder of
+      // the queue from being sent.
+      let failures = []
+
+      queue.splice(0).forEach((message) => {
+        try {
+          post(message)
+        } catch (err) {
+          failures.push(new Error('The queued "' + message.event + '" event could not be sent to the other window (' + err.message + ').'))
+        }
+      })
+
+      failures.forEach((err) => this.emit('error', err))
+    }
+
+    const receive = (event) => {
+      let message = event.data
+
+      if (event.source !== frameWindow || event.origin !== origin || !message || message.ngn !== 'bridge') {
+        return
+      }
+
+      switch (message.type) {
+        case 'hello':
+          closed = false
+          post({ ngn: 'bridge', type: 'ready' })
+          connect()
+          return
+
+        case 'ready':
+          closed = false
+          connect()
+          return
+
+        case 'close':
+          connected = false
+          closed = true
+          queue = []
+          return
+
+        case 'event':
+          if (connected && permits(message.event) && Array.isArray(message.payload)) {
+            this.trigger(message.event, message.payload, null, { origin: 'frame' })
+          }
+      }
+    }
+
+    window.addEventListener('message', receive)
+
+    const unrelay = this.relayEvents(allow, (eventName, args) => {
+      if (!permits(eventName)) {
+        return
+      }
+
+      let message = {
+        ngn: 'bridge',
+        type: 'event',
+        event: eventName,
+        payload: args
+      }
+
+      try {
+        if (connected) {
+          post(message)
+        } else if (!closed) {
+          validate(message)
+
+          queue.push(message)
+
+          if (queue.length > buffer) {
+            queue.shift()
+          }
+        }
+      } catch (err) {
+        throw new Error('The "' + eventName + '" event cannot be sent to the other window because the payload is not compatible with the structured clone algorithm (' + err.message + ').')
+      }
+    })
+
+    // If the other window is not ready yet, its own hello completes the handshake.
+    post({ ngn: 'bridge', type: 'hello' })
+
+    return Object.defineProperties({}, {
+      connected: {
+        enumerable: true,
+        get: () => connected
+      },
+
+      close: NGN.const(() => {
+        unrelay()
+        window.removeEventListener('message', receive)
+
+        if (connected) {
+          post({ ngn: 'bridge', type: 'close' })
+        }
+
+        connected = false
+        closed = true
+        queue = []
+      })
+    })
+  }),
+
+  /**
+   * @method relayEvents
+   * Relays the events matching any of the patterns to another browsing
+   * context (see #share). The relay is executed after all handlers,
+   * and only for events triggered locally which were not stopped by a
+   * handler (see #emit). It is executed once per event, even if the event
+   * matches more than one of the patterns.
+   * @param {array} patterns
+   * The events to relay.
+   * @param {function} relay
+   * Receives the event name and an array of the event arguments.
+   * @return {function}
+   * Stops relaying the events.
+   * @private
+   */
+  relayEvents: NGN.privateconst(function (patterns, relay) {
+    const record = {
+      matches: this.createEventMatcher(patterns),
+      relay
+    }
+
+    this.relays.push(record)
+
+    return () => {
+      let index = this.relays.indexOf(record)
+
+      if (index >= 0) {
+        this.relays.splice(index, 1)
+      }
+    }
+  }),
+
+  /**
+   * @method createEventMatcher
+   * Creates a method to test event names against a list of exact,
+   * wildcard (see #compilePattern) and regular expression event names.
+   * Event names are matched the same way as #getAllEvents.
+   * @param {array} patterns
+   * The event names.
+   * @return {function}
+   * Receives an event name and returns `true` if any of the patterns match.
+   * @private
+   */
+  createEventMatcher: NGN.privateconst(function (patterns) {
+    const expressions = patterns.map((pattern) => NGN.EventPattern.from(pattern))
+
+    return (eventName) => patterns.some((pattern, index) => {
+      return expressions[index] !== null ? expressions[index].test(eventName) : pattern === eventName
+    })
+  }),
+
+  /**
+   * @method createBridgeId
+   * @return {string}
+   * A random identifier, used to recognize the messages sent by a bridge
+   * to another browsing context (see #share).
+   * @private
+   */
+  createBridgeId: NGN.privateconst(function () {
+    return Math.random().toString(36).substr(2) + Date.now().toString(36)
+  })
+}), NGN.EventEmitter)
@@ -39,6 +39,12 @@
  *
  *   NGN.BUS.publish('test.delete') // Outputs "test handled"
  * ```
+ *
+ * Errors thrown by subscribers are isolated (see NGN.EventEmitter#isolateErrors),
+ * so one failing subscriber does not prevent others from responding to
+ * the same event.
  * @singleton
  */
-NGN.extend('BUS', NGN.const(new NGN.EventEmitter()))
+NGN.extend('BUS', NGN.const(new NGN.EventEmitter({
+  isolateErrors: true
+})))
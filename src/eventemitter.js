@@ -27,8 +27,239 @@ class EventEmitter {
     Object.defineProperties(this, {
       handlers: NGN.private({}),
       adhoc: NGN.private({}),
-      maxlisteners: NGN.private(cfg.defaultMaxListeners || 25)
+      maxlisteners: NGN.private(cfg.defaultMaxListeners || 25),
+
+      /**
+       * @property {number} sequence
+       * A registration counter used to keep the order of handlers
+       * with the same priority stable.
+       * @private
+       */
+      sequence: NGN.private(0),
+
+      /**
+       * @property {object} patterns
+       * Compiled regular expressions for wildcard event names,
+       * keyed by event name (see #compilePattern).
+       * @private
+       */
+      patterns: NGN.private({}),
+
+      /**
+       * @property {object} expressions
+       * Regular expression event names (see #on), keyed by their
+       * string representation.
+       * @private
+       */
+      expressions: NGN.private({}),
+
+      /**
+       * @property {Map} matches
+       * A cache of the wildcard event names matching each triggered
+       * event name. This is reset whenever a wildcard event name is
+       * added or removed.
+       * @private
+       */
+      matches: NGN.private(new Map()),
+
+      /**
+       * @property {Map} stickies
+       * The most recent payload of each sticky event (see #emitSticky),
+       * keyed by event name.
+       * @private
+       */
+      stickies: NGN.private(new Map()),
+
+      /**
+       * @property {array} middleware
+       * Methods applied to events before they are dispatched (see #use).
+       * @private
+       */
+      middleware: NGN.private([]),
+
+      /**
+       * @property {object} definitions
+       * The event catalog (see #define), keyed by event name.
+       * @private
+       */
+      definitions: NGN.private({}),
+
+      /**
+       * @cfg {string} [asyncMode=parallel]
+       * The default execution mode of #emitAsync. Handlers are either run
+       * concurrently (`parallel`) or one after the other (`serial`).
+       */
+      asyncmode: NGN.private(NGN.coalesce(cfg.asyncMode, 'parallel')),
+
+      /**
+       * @cfg {boolean} [isolateErrors=false]
+       * See #isolateErrors.
+       */
+      isolateerrors: NGN.private(NGN.coalesce(cfg.isolateErrors, false)),
+
+      /**
+       * @cfg {string} [leakPolicy=warn]
+       * See #leakPolicy.
+       */
+      leakpolicy: NGN.private(NGN.coalesce(cfg.leakPolicy, 'warn')),
+
+      /**
+       * @cfg {boolean} [debug=false]
+       * See #debug.
+       */
+      debugmode: NGN.private(NGN.coalesce(cfg.debug, false)),
+
+      /**
+       * @property {object} limits
+       * Event-specific listener limits (see #setMaxListeners), keyed
+       * by event name.
+       * @private
+       */
+      limits: NGN.private({}),
+
+      /**
+       * @property {object} growth
+       * Listener count statistics used to detect leaks (see #leakReport),
+       * keyed by event name.
+       * @private
+       */
+      growth: NGN.private({}),
+
+      /**
+       * @cfg {boolean} [instrument=false]
+       * See #instrument.
+       */
+      instrumentation: NGN.private(NGN.coalesce(cfg.instrument, false)),
+
+      /**
+       * @cfg {number} [slowHandlerThreshold=50]
+       * See #slowHandlerThreshold.
+       */
+      slowthreshold: NGN.private(NGN.coalesce(cfg.slowHandlerThreshold, 50)),
+
+      /**
+       * @property {object} statistics
+       * Handler execution statistics (see #stats), keyed by event name.
+       * @private
+       */
+      statistics: NGN.private({}),
+
+      /**
+       * @property {NGN.EventEmitter} parentemitter
+       * The emitter events bubble up to (see #createChild).
+       * @private
+       */
+      parentemitter: NGN.private(null),
+
+      /**
+       * @property {string} eventprefix
+       * The prefix applied to events bubbling up to the parent emitter.
+       * @private
+       */
+      eventprefix: NGN.private(''),
+
+      /**
+       * @property {boolean} trickledown
+       * Indicates parent events are delivered to this emitter.
+       * @private
+       */
+      trickledown: NGN.private(false),
+
+      /**
+       * @property {array} children
+       * Child emitters (see #createChild).
+       * @private
+       */
+      children: NGN.private([]),
+
+      /**
+       * @property {array} executing
+       * The listeners currently being executed (nested emits create
+       * a stack). Used to trace the events triggered by handlers.
+       * @private
+       */
+      executing: NGN.private([]),
+
+      /**
+       * @property {array} forwards
+       * The events forwarded with #forward, as `{from, to}` objects.
+       * @private
+       */
+      forwards: NGN.private([]),
+
+      /**
+       * @property {array} relays
+       * The relays of the bridges to other browsing contexts (see
+       * #relayEvents), as `{matches, relay}` objects. Relays are not
+       * listeners, so they are not reflected in #listenerCount,
+       * #topology, listener limits or lifecycle events.
+       * @private
+       */
+      relays: NGN.private([]),
+
+      /**
+       * @property {object} sharedtriggers
+       * The cached #funnel and #threshold trigger handlers (see
+       * #wrapSharedExtensions).
+       * @private
+       */
+      sharedtriggers: NGN.private({})
+    })
+
+    this.wrapSharedExtensions()
+  }
+
+  /**
+   * @method mixin
+   * Apply the event API to any object, including DOM elements and
+   * object literals, without subclassing:
+   *
+   * ```
+   * const cart = NGN.EventEmitter.mixin({items: []})
+   *
+   * cart.on('add', (item) => cart.items.push(item))
+   * cart.emit('add', item)
+   *
+   * const el = NGN.EventEmitter.mixin(document.querySelector('my-widget'))
+   *
+   * el.on('change', render)
+   * ```
+   * Each target has its own (hidden) event emitter, so listeners are
+   * never shared between targets. The following methods are added:
+   * `on`, `once`, `off`, `onceoff`, `emit`, `emitAsync`, `waitFor`,
+   * `listenerCount` and `removeAllListeners`. Existing members of the
+   * target (i.e. native DOM methods) are never overridden. DOM events
+   * (`addEventListener`) are not affected.
+   * @param {object} target
+   * The object to apply the event API to.
+   * @param {object} [cfg]
+   * Configuration of the emitter (see #constructor).
+   * @return {object}
+   * The target.
+   * @static
+   */
+  static mixin (target, cfg) {
+    if (target === null || (typeof target !== 'object' && typeof target !== 'function')) {
+      throw new Error('Cannot apply the event emitter to ' + NGN.typeof(target) + '. An object is required.')
+    }
+
+    if (EventEmitter.mixins.has(target)) {
+      return target
+    }
+
+    const emitter = new NGN.EventEmitter(cfg)
+
+    EventEmitter.mixins.set(target, emitter)
+
+    ;['on', 'once', 'off', 'onceoff', 'emit', 'emitAsync', 'waitFor', 'listenerCount', 'removeAllListeners'].forEach((method) => {
+      if (!(method in target)) {
+        Object.defineProperty(target, method, NGN.private(function () {
+          return emitter[method].apply(emitter, arguments)
+        }))
+      }
     })
+
+    return target
   }
 
   /**
@@ -69,6 +300,128 @@ class EventEmitter {
     this.maxlisteners = value
   }
 
+  /**
+   * @property {string} leakPolicy
+   * Determines what happens when the number of listeners for an event
+   * exceeds its limit (see #setMaxListeners). Valid options are:
+   *
+   * - `warn` logs a warning (once, until the listener count drops back
+   *   within the limit).
+   * - `throw` throws an error. The new listener is not added.
+   * - `ignore` does nothing. Use #leakReport to inspect the listeners.
+   */
+  get leakPolicy () {
+    return this.leakpolicy
+  }
+
+  set leakPolicy (value) {
+    value = value.toLowerCase()
+
+    if (['warn', 'throw', 'ignore'].indexOf(value) < 0) {
+      throw new Error('Invalid leakPolicy "' + value + '". Valid options are "warn", "throw" and "ignore".')
+    }
+
+    this.leakpolicy = value
+  }
+
+  /**
+   * @property {boolean} debug
+   * When enabled, each listener records the stack trace of its
+   * registration. The call sites are included in the #leakReport.
+   * This is relatively expensive and should not be used in production.
+   */
+  get debug () {
+    return this.debugmode
+  }
+
+  set debug (value) {
+    this.debugmode = value
+  }
+
+  /**
+   * @property {boolean} instrument
+   * When enabled, the number of executions, run time and last error of
+   * each handler are recorded (see #stats). A `slowhandler` event is
+   * triggered whenever a handler takes longer than the
+   * #slowHandlerThreshold to execute:
+   *
+   * ```
+   * NGN.BUS.instrument = true
+   *
+   * NGN.BUS.on('slowhandler', function (detail) {
+   *   console.log(detail.event) // The name of the event being handled.
+   *   console.log(detail.handler) // The slow handler.
+   *   console.log(detail.duration) // The run time in milliseconds.
+   * })
+   * ```
+   * Only the synchronous run time of a handler is measured (i.e. the
+   * time until an async handler returns a promise).
+   */
+  get instrument () {
+    return this.instrumentation
+  }
+
+  set instrument (value) {
+    this.instrumentation = value
+  }
+
+  /**
+   * @property {number} slowHandlerThreshold
+   * The number of milliseconds a handler may take to execute before
+   * it is reported as a `slowhandler` (see #instrument).
+   */
+  get slowHandlerThreshold () {
+    return this.slowthreshold
+  }
+
+  set slowHandlerThreshold (value) {
+    this.slowthreshold = value
+  }
+
+  /**
+   * @property {string} asyncMode
+   * The default execution mode (`parallel` or `serial`) of #emitAsync.
+   */
+  get asyncMode () {
+    return this.asyncmode
+  }
+
+  set asyncMode (value) {
+    value = value.toLowerCase()
+
+    if (value !== 'parallel' && value !== 'serial') {
+      throw new Error('Invalid asyncMode "' + value + '". Valid options are "parallel" and "serial".')
+    }
+
+    this.asyncmode = value
+  }
+
+  /**
+   * @property {boolean} isolateErrors
+   * When enabled, an error thrown by one event handler does not prevent
+   * the remaining handlers from executing. Each error is emitted as an
+   * `error` event instead:
+   *
+   * ```
+   * NGN.BUS.on('error', function (err, detail) {
+   *   console.log(detail.event) // The name of the event being handled.
+   *   console.log(detail.handler) // The handler which threw the error.
+   *   console.log(detail.payload) // An array of the event arguments.
+   * })
+   * ```
+   * Like Node's EventEmitter, an `error` event without any handlers is
+   * thrown. In this case, the error is thrown after all of the remaining
+   * handlers have been executed. Errors thrown by `error` handlers are
+   * never isolated.
+   */
+  get isolateErrors () {
+    return this.isolateerrors
+  }
+
+  set isolateErrors (value) {
+    this.isolateerrors = value
+  }
+
   /**
    * @method {number} listenerCount
    * The number of listeners for a specific event.
@@ -76,6 +429,8 @@ class EventEmitter {
    * The name of the event to count listeners for.
    */
   listenerCount (eventName) {
+    eventName = this.getEventKey(eventName)
+
     return (this.handlers[eventName] || []).length +
       (this.adhoc[eventName] || []).length
   }
@@ -83,18 +438,179 @@ class EventEmitter {
   /**
    * @method getMaxListeners
    * A node-like reference to the #defaultMaxListeners value.
+   * @param {string} [eventName]
+   * Returns the limit of a specific event (which may differ from the
+   * #defaultMaxListeners value).
    * @return {number}
    */
-  getMaxListeners () {
+  getMaxListeners (eventName) {
+    if (eventName !== undefined && this.limits.hasOwnProperty(this.getEventKey(eventName))) {
+      return this.limits[this.getEventKey(eventName)]
+    }
+
     return this.defaultMaxListeners
   }
 
   /**
    * @method setMaxListeners
    * A node-like reference to the #defaultMaxListeners value (setter).
+   * @param {number} value
+   * The maximum number of listeners. Use `0` or `Infinity` for no limit.
+   * @param {string} [eventName]
+   * Apply the limit to a specific event instead of all events. Set the
+   * value to `null` to restore the #defaultMaxListeners for the event.
+   *
+   * ```
+   * NGN.BUS.setMaxListeners(100, 'window.resize')
+   * ```
+   */
+  setMaxListeners (value, eventName) {
+    if (eventName === undefined) {
+      this.defaultMaxListeners = value
+    } else if (value === null) {
+      delete this.limits[this.getEventKey(eventName)]
+    } else {
+      this.limits[this.getEventKey(eventName)] = value
+    }
+  }
+
+  /**
+   * @method stats
+   * Handler execution statistics, recorded while #instrument is enabled.
+   * @return {object}
+   * A snapshot of the statistics, which is safe to modify:
+   *
+   * ```
+   * {
+   *   events: {
+   *     'record.update': {
+   *       count: 12,    // Number of handler executions.
+   *       total: 3.21,  // Total run time (milliseconds).
+   *       max: 0.84,    // Longest run time (milliseconds).
+   *       lastError: null
+   *     }
+   *   },
+   *   handlers: [{
+   *     event: 'record.*', // The event name the handler was added for.
+   *     handler: function () {...},
+   *     count: 6,
+   *     total: 1.02,
+   *     max: 0.31,
+   *     lastError: null
+   *   }]
+   * }
+   * ```
+   * The `handlers` only include handlers which are currently registered.
+   */
+  stats () {
+    let events = {}
+    let handlers = []
+
+    for (let eventName in this.statistics) {
+      events[eventName] = this.copyStats(this.statistics[eventName])
+    }
+
+    ;['handlers', 'adhoc'].forEach((type) => {
+      for (let eventName in this[type]) {
+        this[type][eventName].forEach((listener) => {
+          if (listener.stats) {
+            let stats = this.copyStats(listener.stats)
+
+            stats.event = eventName
+            stats.handler = listener.handler
+
+            handlers.push(stats)
+          }
+        })
+      }
+    })
+
+    return {
+      events: events,
+      handlers: handlers
+    }
+  }
+
+  /**
+   * @method resetStats
+   * Discards all of the statistics recorded by #instrument.
+   */
+  resetStats () {
+    this.statistics = {}
+
+    ;['handlers', 'adhoc'].forEach((type) => {
+      for (let eventName in this[type]) {
+        this[type][eventName].forEach((listener) => {
+          listener.stats = null
+        })
+      }
+    })
+  }
+
+  /**
+   * @method leakReport
+   * Identifies potential memory leaks, i.e. events whose listener count
+   * keeps growing beyond the limit (see #setMaxListeners). This is
+   * commonly caused by components which add listeners every time they
+   * are rendered, but never remove them.
+   *
+   * ```
+   * NGN.BUS.debug = true
+   *
+   * // ...
+   *
+   * console.table(NGN.BUS.leakReport())
+   * ```
+   * @return {array}
+   * An array of objects, ordered by listener count (descending):
+   *
+   * ```
+   * {
+   *   event: 'window.resize',
+   *   count: 31,  // Current number of listeners.
+   *   limit: 25,
+   *   growth: 31, // Number of times the listener count reached a new high.
+   *   sites: [{
+   *     site: 'at Widget.render (widget.js:42:12)',
+   *     count: 30
+   *   }]
+   * }
+   * ```
+   * The call `sites` of the listeners are only available when #debug
+   * mode was enabled while the listeners were added.
    */
-  setMaxListeners (value) {
-    this.defaultMaxListeners = value
+  leakReport () {
+    let report = []
+
+    for (let eventName in this.growth) {
+      let limit = this.getMaxListeners(eventName)
+      let count = this.listenerCount(eventName)
+
+      if (!limit || count <= limit) {
+        continue
+      }
+
+      let listeners = (this.handlers[eventName] || []).concat(this.adhoc[eventName] || [])
+      let sites = {}
+
+      listeners.forEach((listener) => {
+        if (listener.site) {
+          sites[listener.site] = (sites[listener.site] || 0) + 1
+        }
+      })
+
+      report.push({
+        event: eventName,
+        count: count,
+        limit: limit,
+        growth: this.growth[eventName].increases,
+        sites: Object.keys(sites).map((site) => {
+          return { site: site, count: sites[site] }
+        }).sort((a, b) => b.count - a.count)
+      })
+    }
+
+    return report.sort((a, b) => b.count - a.count)
   }
 
   /**
@@ -116,37 +632,115 @@ class EventEmitter {
    * @return {array}
    */
   listeners (eventName) {
+    eventName = this.getEventKey(eventName)
+
     let handlers = this.handlers[eventName] || []
     let adhoc = this.adhoc[eventName] || []
-    return handlers.concat(adhoc)
+    return handlers.concat(adhoc).map((listener) => listener.handler)
   }
 
   /**
    * @method on
    * Create a new event handler for the specified event.
-   * @param  {string|object} eventName
+   *
+   * Handlers are executed in order of priority (highest first). Handlers
+   * with the same priority are executed in the order they were registered,
+   * regardless of whether they were registered with #on or #once. A
+   * prepended handler is executed before all other handlers of the
+   * same priority.
+   *
+   * ```
+   * NGN.BUS.on('route.change', logRoute, {priority: 100}) // Runs first
+   * NGN.BUS.on('route.change', renderView) // Priority 0
+   * NGN.BUS.once('route.change', trackView) // Priority 0, runs after renderView
+   * ```
+   * @param  {string|RegExp|object} eventName
    * Name of the event to listen for.
    * If an object is passed, this method will automatically setup a #pool.
+   * If a regular expression is passed, the handler responds to every
+   * event name matching the expression. The match is available within
+   * the handler (see #emit):
+   *
+   * ```
+   * NGN.BUS.on(/^user\.(login|logout)$/, function () {
+   *   console.log(this.event) // i.e. user.login
+   *   console.log(this.match[1]) // i.e. login
+   * })
+   * ```
    * @param  {Function} handler
    * The method responsible for responding to the event.
    * This is ignored if eventName is an object.
-   * @param {boolean} [prepend=false]
+   * @param {boolean|object} [options]
    * When set to `true`, the event is added to the beginning of
-   * the processing list instead of the end.
+   * the processing list instead of the end (same as `{prepend: true}`).
    * This is ignored if eventName is an object.
+   * @param {number} [options.priority=0]
+   * The priority of the handler. Higher numbers are executed first.
+   * Negative numbers are allowed.
+   * @param {boolean} [options.prepend=false]
+   * Execute the handler before others of the same priority.
+   * @param {any} [options.owner]
+   * The object (typically a component) which owns the handler. All of the
+   * handlers belonging to an owner can be removed at once with #offAll.
+   * @param {boolean} [options.sticky=true]
+   * Set this to `false` to ignore the last payload of sticky events
+   * (see #emitSticky) which were triggered before the handler was created.
+   * @param {any} [options.context]
+   * The scope (`this`) of the handler. By default, handlers are executed
+   * within the event scope (see #emit). This is useful for methods
+   * which depend on `this`.
+   * @param {AbortSignal} [options.signal]
+   * The handler is removed when the signal is aborted. If the signal is
+   * already aborted, the handler is not added.
+   * @param {number} [options.times]
+   * Remove the handler after it has been executed the specified number
+   * of times. #once is the equivalent of `{times: 1}`.
+   * @param {number} [options.debounce]
+   * Execute the handler after the event stops firing for the specified
+   * number of milliseconds. The handler receives the most recent payload.
+   * @param {number} [options.throttle]
+   * Execute the handler at most once within the specified number of
+   * milliseconds. Events triggered within the interval are ignored.
+   *
+   * ```
+   * const controller = new AbortController()
+   *
+   * NGN.BUS.on('search.input', this.search, {
+   *   context: this,
+   *   debounce: 200,
+   *   signal: controller.signal
+   * })
+   *
+   * controller.abort() // Removes the handler.
+   * ```
+   * @return {object}
+   * A subscription handle (see #createSubscription), which can be used
+   * to `unsubscribe()`, `pause()` or `resume()` the handler.
    */
-  on (eventName, callback, prepend) {
-    if (typeof eventName === 'object') {
+  on (eventName, callback, options) {
+    if (typeof eventName === 'object' && NGN.typeof(eventName) !== 'regexp') {
       return this.pool(eventName)
     }
 
-    this.handlers[eventName] = this.handlers[eventName] || []
-    this.handlers[eventName][NGN.coalesce(prepend, false) ? 'unshift' : 'push'](callback)
+    this.enforceListenerLimit(eventName)
+
+    const listener = this.addEventHandler('handlers', eventName, callback, options)
+
+    if (listener.removed) {
+      return this.createSubscription(listener)
+    }
+
     this.emit('newListener', eventName, callback)
 
-    if (this.listenerCount(eventName) > this.maxlisteners) {
-      throw new Error('Maximum event listeners exceeded. Use setMaxListeners() to adjust the level.')
+    if (this.listenerCount(listener.event) === 1 && !this.isLifecycleEvent(listener.event)) {
+      this.emit('firstListener', listener.event)
     }
+
+    this.checkListenerLimit(listener.event, listener)
+
+    this.replaySticky('handlers', listener.event, listener, options)
+
+    return this.createSubscription(listener)
   }
 
   /**
@@ -154,7 +748,17 @@ class EventEmitter {
    * A node-like reference to the #on method.
    */
   addListener () {
-    this.on.apply(this, arguments)
+    return this.on.apply(this, arguments)
+  }
+
+  /**
+   * @method subscribe
+   * An alias of the #on method.
+   * @return {object}
+   * A subscription handle.
+   */
+  subscribe () {
+    return this.on.apply(this, arguments)
   }
 
   /**
@@ -166,32 +770,74 @@ class EventEmitter {
    * @param  {Function} handler
    * The method responsible for responding to the event.
    */
-  prependListener () {
-    const args = NGN.slice(arguments).push(true)
-    this.on.apply(this, args)
+  prependListener (eventName, callback) {
+    return this.on(eventName, callback, true)
   }
 
   /**
-   * @method on
+   * @method once
    * Create a new event handler for the specified event. The
    * handler will be removed immediately after it is executed. This
    * effectively listens for an event to happen once and only once
-   * before the handler is destroyed.
-   * @param  {string} eventName
+   * before the handler is destroyed. One-time handlers follow the same
+   * execution order as those created with #on.
+   * @param  {string|RegExp} eventName
    * Name of the event to listen for.
    * @param  {Function} handler
    * The method responsible for responding to the event.
-   * @param {boolean} [prepend=false]
+   * @param {boolean|object} [options]
    * When set to `true`, the event is added to the beginning of
-   * the processing list instead of the end.
+   * the processing list instead of the end (same as `{prepend: true}`).
+   * @param {number} [options.priority=0]
+   * The priority of the handler. Higher numbers are executed first.
+   * @param {boolean} [options.prepend=false]
+   * Execute the handler before others of the same priority.
+   * @param {any} [options.owner]
+   * The object which owns the handler (see #offAll).
+   * @param {boolean} [options.sticky=true]
+   * Set this to `false` to ignore previously triggered sticky events.
+   * @param {any} [options.context]
+   * The scope (`this`) of the handler.
+   * @param {AbortSignal} [options.signal]
+   * The handler is removed when the signal is aborted.
+   * @param {number} [options.debounce]
+   * Execute the handler after the event stops firing for the specified
+   * number of milliseconds.
+   * @param {number} [options.throttle]
+   * Ignore the event if it fires again within the specified number of milliseconds.
+   * @return {object}
+   * A subscription handle (see #createSubscription).
    */
-  once (eventName, callback, prepend) {
-    this.adhoc[eventName] = this.adhoc[eventName] || []
-    this.adhoc[eventName][NGN.coalesce(prepend, false) ? 'unshift' : 'push'](callback)
+  once (eventName, callback, options) {
+    this.enforceListenerLimit(eventName)
+
+    const listener = this.addEventHandler('adhoc', eventName, callback, options)
+
+    if (listener.removed) {
+      return this.createSubscription(listener)
+    }
+
     this.emit('newListener', eventName, callback)
-    if (this.listenerCount(eventName) > this.maxlisteners) {
-      throw new Error('Maximum event listeners exceeded. Use setMaxListeners() to adjust the level.')
+
+    if (this.listenerCount(listener.event) === 1 && !this.isLifecycleEvent(listener.event)) {
+      this.emit('firstListener', listener.event)
     }
+
+    this.checkListenerLimit(listener.event, listener)
+
+    this.replaySticky('adhoc', listener.event, listener, options)
+
+    return this.createSubscription(listener)
+  }
+
+  /**
+   * @method subscribeOnce
+   * An alias of the #once method.
+   * @return {object}
+   * A subscription handle.
+   */
+  subscribeOnce () {
+    return this.once.apply(this, arguments)
   }
 
   /**
@@ -203,15 +849,42 @@ class EventEmitter {
    * @param  {Function} handler
    * The method responsible for responding to the event.
    */
-  prependOnceListener () {
-    const args = NGN.slice(arguments).push(true)
-    this.once.apply(this, args)
+  prependOnceListener (eventName, callback) {
+    return this.once(eventName, callback, true)
   }
 
   /**
    * @method off
    * Remove an event handler. If no handler is specified, all handlers for
-   * the specified event will be removed.
+   * the specified event will be removed. Handlers are matched by reference,
+   * so only the exact function that was passed to #on is removed.
+   *
+   * Like Node's EventEmitter, a `removeListener` event (with the event name
+   * and handler) is triggered for every handler which is removed, no matter
+   * how it was removed (including one-time handlers being consumed).
+   *
+   * The `firstListener` and `lastListenerRemoved` events are triggered
+   * (with the event name) when an event name gains its first handler and
+   * loses its last handler. This can be used to manage resources on demand:
+   *
+   * ```
+   * let stream = null
+   *
+   * NGN.BUS.on('firstListener', (eventName) => {
+   *   if (eventName === 'price.update') {
+   *     stream = new EventSource('/prices')
+   *     stream.onmessage = (msg) => NGN.BUS.emit('price.update', msg.data)
+   *   }
+   * })
+   *
+   * NGN.BUS.on('lastListenerRemoved', (eventName) => {
+   *   if (eventName === 'price.update') {
+   *     stream.close()
+   *   }
+   * })
+   * ```
+   * Wildcard handlers are tracked by the name they were added with
+   * (i.e. `price.*`), not by the names of the events they respond to.
    * @param {string} eventName
    * Name of the event to remove.
    * @param {function} [handlerFn]
@@ -221,10 +894,45 @@ class EventEmitter {
     this.deleteEventHandler('handlers', eventName, handlerFn)
   }
 
+  /**
+   * @method offAll
+   * Remove all event handlers (including one-time handlers) which belong
+   * to the specified owner, regardless of the event they respond to.
+   *
+   * ```
+   * class Widget {
+   *   constructor () {
+   *     NGN.BUS.on('user.login', this.render.bind(this), {owner: this})
+   *     NGN.BUS.on('user.logout', this.reset.bind(this), {owner: this})
+   *   }
+   *
+   *   destroy () {
+   *     NGN.BUS.offAll(this) // Removes both handlers.
+   *   }
+   * }
+   * ```
+   * @param {any} owner
+   * The owner specified when the handlers were created (see #on).
+   */
+  offAll (owner) {
+    if (owner === undefined || owner === null) {
+      return
+    }
+
+    ['handlers', 'adhoc'].forEach((type) => {
+      Object.keys(this[type]).forEach((eventName) => {
+        this[type][eventName].filter((listener) => listener.owner === owner).forEach((listener) => {
+          this.deleteEventListener(listener)
+        })
+      })
+    })
+  }
+
   /**
    * @method onceoff
    * Remove an event handler that was originally created using #once. If no
    * handler is specified, all handlers for the spcified event will be removed.
+   * Handlers are matched by reference.
    * @param {string} eventName
    * Name of the event to remove.
    * @param {function} handlerFn
@@ -235,163 +943,1903 @@ class EventEmitter {
   }
 
   /**
-   * @method deleteEventHandler
-   * Remove a specific event handler.
-   * @param {string} type
-   * Either `handler` (multi-use events) or `adhoc` (one-time events)
+   * @method waitFor
+   * Wait for the next occurrence of an event. This is a promise-based
+   * alternative to #once. Wildcard event names are supported (they are
+   * resolved the same way as #getAllEvents).
+   *
+   * Example:
+   * ```
+   * NGN.BUS.waitFor('user.*', {
+   *   timeout: 3000,
+   *   filter: function (user) {
+   *     return user.active
+   *   }
+   * }).then(function (user) {
+   *   console.log(user.name + ' is active.')
+   * }).catch(function (err) {
+   *   console.log(err.message) // Timed out...
+   * })
+   * ```
+   * A single handler receives the events until one passes the filter.
+   * It is automatically removed when the promise settles, so a timeout
+   * does not leave an orphaned handler behind.
    * @param {string} eventName
-   * Name of the event to remove.
-   * @param {function} handlerFn
-   * The handler function to remove from the event handlers.
-   * @private
+   * Name of the event to wait for.
+   * @param {object} [options]
+   * @param {number} [options.timeout]
+   * The number of milliseconds to wait before the promise is rejected.
+   * By default, there is no timeout.
+   * @param {function} [options.filter]
+   * A method that receives the event payload and returns a boolean.
+   * Events are ignored until the filter returns `true`. The filter is
+   * executed within the same scope as a normal event handler.
+   * @return {Promise}
+   * Resolves with the payload (first argument) of the matching event.
+   * Rejects if the timeout is reached first or the filter throws an error.
    */
-  deleteEventHandler (type, eventName, handlerFn) {
-    let scope = this[type]
+  waitFor (eventName, options) {
+    options = options || {}
 
-    if (scope[eventName]) {
-      if (!handlerFn) {
-        delete scope[eventName]
-        return
+    return new Promise((resolve, reject) => {
+      let timer = null
+      let settled = false
+      let subscription = null
+
+      const settle = (fn, value) => {
+        if (settled) {
+          return
+        }
+
+        settled = true
+        clearTimeout(timer)
+
+        if (subscription !== null) {
+          subscription.unsubscribe()
+        }
+
+        fn(value)
       }
 
-      let result = []
-      scope[eventName].forEach((handler) => {
-        if (handler.toString() !== handlerFn.toString()) {
-          result.push(handler)
+      let handler = function () {
+        if (NGN.isFn(options.filter)) {
+          try {
+            if (!options.filter.apply(this, arguments)) {
+              return
+            }
+          } catch (err) {
+            return settle(reject, err)
+          }
         }
-      })
 
-      if (result.length === 0) {
-        delete scope[eventName]
-        return
+        settle(resolve, arguments[0])
       }
 
-      scope[eventName] = result
-    }
-  }
+      if (typeof options.timeout === 'number') {
+        timer = setTimeout(() => {
+          settle(reject, new Error('Timed out waiting for the "' + eventName + '" event (' + options.timeout + 'ms).'))
+        }, options.timeout)
+      }
 
-  /**
-   * @alias removeListener
-   * A node-like alias of the #off and #onceoff method (combined).
-   */
-  removeListener () {
-    this.off.apply(this, arguments)
-    this.onceoff.apply(this, arguments)
+      subscription = this.on(eventName, handler)
+
+      // Sticky events are replayed before the subscription is returned.
+      if (settled) {
+        subscription.unsubscribe()
+      }
+    })
   }
 
   /**
-   * @method clear
-   * Remove all event handlers from the EventEmitter (both regular and adhoc).
+   * @method stream
+   * Create an async iterable of event payloads. Like #waitFor, each
+   * value is the first argument of an event. Wildcard and regular
+   * expression event names are supported.
+   *
+   * ```
+   * const controller = new AbortController()
+   *
+   * for await (const message of NGN.BUS.stream('chat.message', {signal: controller.signal})) {
+   *   render(message)
+   * }
+   * ```
+   * Events triggered while the consumer is busy are buffered. The handler
+   * is removed when the iteration ends (i.e. `break`), the signal is
+   * aborted, or the stream fails.
+   * @param {string|RegExp} eventName
+   * The event to stream.
+   * @param {object} [options]
+   * @param {number} [options.buffer=100]
+   * The maximum number of buffered payloads.
+   * @param {string} [options.overflow=drop-oldest]
+   * Determines what happens when an event is triggered while the buffer
+   * is full. Valid options are:
+   *
+   * - `drop-oldest` discards the oldest buffered payload.
+   * - `drop-newest` discards the new payload.
+   * - `error` fails the stream. The buffered payloads are delivered
+   * before the iteration throws an error.
+   * @param {AbortSignal} [options.signal]
+   * Ends the stream when aborted.
+   * @return {object}
+   * An async iterator.
    */
-  clear () {
-    if (arguments.length > 0) {
+  stream (eventName, options) {
+    options = options || {}
+
+    const limit = NGN.coalesce(options.buffer, 100)
+    const overflow = NGN.coalesce(options.overflow, 'drop-oldest')
+
+    if (['drop-oldest', 'drop-newest', 'error'].indexOf(overflow) < 0) {
+      throw new Error('Invalid stream overflow policy "' + overflow + '". Valid options are "drop-oldest", "drop-newest" and "error".')
+    }
+
+    let buffer = []
+    let pending = []
+    let failure = null
+    let done = false
+    let subscription = null
+
+    const close = () => {
+      if (done) {
+        return
+      }
+
+      done = true
+
+      if (subscription !== null) {
+        subscription.unsubscribe()
+      }
+
+      if (options.signal) {
+        options.signal.removeEventListener('abort', close)
+      }
+
+      // Consumers waiting for a value receive the failure (if any),
+      // otherwise the end of the stream.
+      pending.splice(0).forEach((consumer) => {
+        if (failure !== null) {
+          consumer.reject(failure)
+          failure = null
+        } else {
+          consumer.resolve({ value: undefined, done: true })
+        }
+      })
+    }
+
+    const iterator = {
+      next: () => {
+        if (buffer.length > 0) {
+          return Promise.resolve({ value: buffer.shift(), done: false })
+        }
+
+        if (failure !== null) {
+          let err = failure
+
+          failure = null
+          return Promise.reject(err)
+        }
+
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true })
+        }
+
+        return new Promise((resolve, reject) => {
+          pending.push({ resolve: resolve, reject: reject })
+        })
+      },
+
+      return: () => {
+        buffer = []
+        close()
+
+        return Promise.resolve({ value: undefined, done: true })
+      }
+    }
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = () => iterator
+    }
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        close()
+        return iterator
+      }
+
+      options.signal.addEventListener('abort', close)
+    }
+
+    subscription = this.on(eventName, function () {
+      if (pending.length > 0) {
+        pending.shift().resolve({ value: arguments[0], done: false })
+        return
+      }
+
+      if (buffer.length >= limit) {
+        switch (overflow) {
+          case 'drop-newest':
+            return
+
+          case 'error':
+            failure = new Error('The "' + eventName + '" stream buffer overflowed (' + limit + ' payloads).')
+            close()
+            return
+
+          default:
+            buffer.shift()
+        }
+      }
+
+      buffer.push(arguments[0])
+    })
+
+    return iterator
+  }
+
+  /**
+   * @method from
+   * Create an operator pipeline (see NGN.EventPipeline) from one or more
+   * events. This replaces timers and state commonly used to coordinate
+   * events:
+   *
+   * ```
+   * NGN.BUS.from('search.input')
+   *   .debounce(200)
+   *   .map((input) => input.trim())
+   *   .distinct()
+   *   .to('search.query')
+   *
+   * NGN.BUS.from(['user.ready', 'config.ready'], {combine: 'zip'})
+   *   .subscribe(([user, config]) => start(user, config))
+   * ```
+   * @param {string|RegExp|array} eventName
+   * The event(s) to receive.
+   * @param {object} [options]
+   * @param {string} [options.combine=merge]
+   * Determines how multiple events are combined:
+   *
+   * - `merge` passes on the value of each event as it arrives.
+   * - `combineLatest` passes on an array of the most recent value of each
+   * event (in the order of the event names), once every event has occurred.
+   * - `zip` pairs the values of each event in the order they arrive. An
+   * array is passed on once every event has a value which has not been
+   * paired yet.
+   * @return {NGN.EventPipeline}
+   */
+  from (eventName, options) {
+    options = options || {}
+
+    return new NGN.EventPipeline(this, Array.isArray(eventName) ? eventName : [eventName], options.combine)
+  }
+
+  /**
+   * @method addEventHandler
+   * Add an event handler, keeping the handler list sorted by
+   * priority (highest first) and registration sequence.
+   * @param {string} type
+   * Either `handlers` (multi-use events) or `adhoc` (one-time events)
+   * @param {string} eventName
+   * Name of the event to listen for.
+   * @param {function} callback
+   * The method responsible for responding to the event.
+   * @param {boolean|object} [options]
+   * See #on for details.
+   * @private
+   */
+  addEventHandler (type, eventName, callback, options) {
+    options = typeof options === 'boolean' ? { prepend: options } : (options || {})
+
+    if (options.priority !== undefined && (typeof options.priority !== 'number' || isNaN(options.priority))) {
+      throw new Error('Invalid event handler priority (received ' + NGN.typeof(options.priority) + '). The priority must be a number.')
+    }
+
+    ;['times', 'debounce', 'throttle'].forEach((attribute) => {
+      if (options[attribute] !== undefined && (typeof options[attribute] !== 'number' || !(options[attribute] > 0))) {
+        throw new Error('Invalid event handler ' + attribute + ' (received ' + options[attribute] + '). The ' + attribute + ' must be a positive number.')
+      }
+    })
+
+    if (options.debounce !== undefined && options.throttle !== undefined) {
+      throw new Error('An event handler cannot be debounced and throttled at the same time.')
+    }
+
+    if (NGN.typeof(eventName) === 'regexp') {
+      let expression = eventName
+
+      eventName = this.getEventKey(expression)
+
+      if (!this.expressions.hasOwnProperty(eventName)) {
+        this.expressions[eventName] = this.normalizeExpression(expression)
+        this.matches.clear()
+      }
+    }
+
+    this.sequence++
+
+    let listener = {
+      type: type,
+      event: eventName,
+      handler: callback,
+      priority: NGN.coalesce(options.priority, 0),
+      sequence: NGN.coalesce(options.prepend, false) ? -this.sequence : this.sequence,
+      owner: NGN.coalesce(options.owner),
+      context: NGN.coalesce(options.context),
+      remaining: NGN.coalesce(options.times),
+      debounce: NGN.coalesce(options.debounce, 0),
+      throttle: NGN.coalesce(options.throttle, 0),
+      timer: null,
+      lastrun: 0,
+      site: this.debugmode ? this.getCallSite() : null,
+      stats: null,
+      emits: [],
+      signal: null,
+      abort: null,
+      paused: false,
+      removed: false
+    }
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        listener.removed = true
+        return listener
+      }
+
+      // The abort handler is removed with the listener (see #releaseListeners).
+      listener.signal = options.signal
+      listener.abort = () => this.deleteEventListener(listener)
+      listener.signal.addEventListener('abort', listener.abort)
+    }
+
+    // Non-string event names (i.e. numbers) are never wildcard patterns.
+    if (typeof eventName === 'string' && !this.expressions.hasOwnProperty(eventName) && eventName.indexOf('*') >= 0 && !this.patterns.hasOwnProperty(eventName)) {
+      this.patterns[eventName] = this.compilePattern(eventName)
+      this.matches.clear()
+    }
+
+    let list = this[type][eventName] = this[type][eventName] || []
+    let index = list.findIndex((existing) => this.compareListeners(listener, existing) < 0)
+
+    list.splice(index < 0 ? list.length : index, 0, listener)
+
+    return listener
+  }
+
+  /**
+   * @method createSubscription
+   * Creates a subscription handle for a listener.
+   *
+   * ```
+   * let subscription = NGN.BUS.on('test', function () { ... })
+   *
+   * subscription.pause() // The handler is ignored until resumed.
+   * subscription.resume()
+   * subscription.unsubscribe() // The handler is removed.
+   * ```
+   * The handle has the following attributes:
+   *
+   * - `event` (string): The name of the event.
+   * - `active` (boolean): `true` while the handler is registered and not paused.
+   * - `unsubscribe()`: Remove the handler.
+   * - `pause()`: Temporarily ignore the handler when the event is triggered.
+   * A paused #once handler is not consumed by events.
+   * - `resume()`: Resume a paused handler.
+   * @param {object} listener
+   * The listener (as returned by #addEventHandler).
+   * @return {object}
+   * @private
+   */
+  createSubscription (listener) {
+    return Object.defineProperties({}, {
+      event: NGN.const(listener.event),
+
+      active: {
+        enumerable: true,
+        get: () => !listener.paused && !listener.removed
+      },
+
+      unsubscribe: NGN.const(() => {
+        this.deleteEventListener(listener)
+      }),
+
+      pause: NGN.const(() => {
+        listener.paused = true
+      }),
+
+      resume: NGN.const(() => {
+        listener.paused = false
+      })
+    })
+  }
+
+  /**
+   * @method enforceListenerLimit
+   * Applies the `throw` #leakPolicy before a listener is added, so a
+   * rejected listener is never added (and never triggers the
+   * `newListener` or `firstListener` events).
+   * @param {string|RegExp} eventName
+   * The name of the event a listener is about to be added to.
+   * @private
+   */
+  enforceListenerLimit (eventName) {
+    if (this.leakpolicy !== 'throw') {
+      return
+    }
+
+    eventName = this.getEventKey(eventName)
+
+    let limit = this.getMaxListeners(eventName)
+
+    if (limit && this.listenerCount(eventName) >= limit) {
+      throw new Error('Maximum event listeners (' + limit + ') exceeded for "' + eventName + '". Use setMaxListeners() to adjust the level.')
+    }
+  }
+
+  /**
+   * @method checkListenerLimit
+   * Applies the `warn` #leakPolicy when the number of listeners for an
+   * event exceeds its limit (see #enforceListenerLimit), and tracks
+   * listener growth for the #leakReport.
+   * @param {string} eventName
+   * The name of the event.
+   * @param {object} listener
+   * The listener which was just added.
+   * @private
+   */
+  checkListenerLimit (eventName, listener) {
+    let count = this.listenerCount(eventName)
+    let limit = this.getMaxListeners(eventName)
+    let growth = this.growth[eventName] = this.growth[eventName] || {
+      peak: 0,
+      increases: 0,
+      warned: false
+    }
+
+    if (count > growth.peak) {
+      growth.peak = count
+      growth.increases++
+    }
+
+    if (!limit || count <= limit) {
+      growth.warned = false
+      return
+    }
+
+    if (this.leakpolicy === 'warn' && !growth.warned) {
+      growth.warned = true
+      console.warn('Possible memory leak: ' + count + ' "' + eventName + '" listeners have been added (the limit is ' + limit + '). Use setMaxListeners() to adjust the level or leakReport() to identify the listeners.' + (listener.site ? ' Most recently added ' + listener.site : ''))
+    }
+  }
+
+  /**
+   * @method getCallSite
+   * Identifies the code which added a listener (used in #debug mode).
+   * @return {string}
+   * The first stack frame outside of the event emitter, or the full
+   * stack trace if the frame cannot be identified.
+   * @private
+   */
+  getCallSite () {
+    let stack = (new Error()).stack
+
+    if (!stack) {
+      return null
+    }
+
+    let frames = stack.split('\n').map((frame) => frame.trim()).filter((frame) => /^at |@/.test(frame))
+    let source = /\(?([^()\s]+):\d+:\d+\)?$/.exec(frames[0] || '')
+
+    if (source) {
+      for (let i = 1; i < frames.length; i++) {
+        // Skip frames within the emitter, including method wrappers
+        // defined in other files (i.e. the SANITY layer).
+        if (frames[i].indexOf(source[1]) < 0 && !/EventEmitter\./.test(frames[i])) {
+          return frames[i]
+        }
+      }
+    }
+
+    return frames.join('\n') || stack
+  }
+
+  /**
+   * @method deleteEventListener
+   * Remove a specific listener.
+   * @param {object} listener
+   * The listener (as returned by #addEventHandler).
+   * @private
+   */
+  deleteEventListener (listener) {
+    let list = this[listener.type][listener.event]
+
+    if (list && list.indexOf(listener) >= 0) {
+      list.splice(list.indexOf(listener), 1)
+
+      if (list.length === 0) {
+        delete this[listener.type][listener.event]
+        this.releaseEventName(listener.event)
+      }
+
+      this.releaseListeners([listener])
+    }
+  }
+
+  /**
+   * @method releaseListeners
+   * Deactivates listeners which have been removed from the handler lists,
+   * then triggers the `removeListener` event for each of them. The
+   * `lastListenerRemoved` event is triggered for each event name which
+   * no longer has any listeners.
+   * @param {array} listeners
+   * The removed listeners.
+   * @private
+   */
+  releaseListeners (listeners) {
+    let eventNames = []
+
+    listeners.forEach((listener) => {
+      listener.removed = true
+      clearTimeout(listener.timer)
+
+      if (listener.signal !== null) {
+        listener.signal.removeEventListener('abort', listener.abort)
+        listener.signal = null
+        listener.abort = null
+      }
+
+      for (let key in this.sharedtriggers) {
+        if (this.sharedtriggers[key] === listener.handler) {
+          delete this.sharedtriggers[key]
+        }
+      }
+    })
+
+    listeners.forEach((listener) => {
+      this.emit('removeListener', listener.event, listener.handler)
+
+      if (eventNames.indexOf(listener.event) < 0) {
+        eventNames.push(listener.event)
+      }
+    })
+
+    eventNames.forEach((eventName) => {
+      if (this.listenerCount(eventName) === 0 && !this.isLifecycleEvent(eventName)) {
+        this.emit('lastListenerRemoved', eventName)
+      }
+    })
+  }
+
+  /**
+   * @method releaseEventName
+   * Discards the compiled wildcard pattern and leak statistics of an
+   * event name once it is no longer used by any handler.
+   * @param {string} eventName
+   * The event name.
+   * @private
+   */
+  releaseEventName (eventName) {
+    if (this.handlers.hasOwnProperty(eventName) || this.adhoc.hasOwnProperty(eventName)) {
+      return
+    }
+
+    delete this.growth[eventName]
+
+    if (this.patterns.hasOwnProperty(eventName)) {
+      delete this.patterns[eventName]
+      this.matches.clear()
+    }
+
+    if (this.expressions.hasOwnProperty(eventName)) {
+      delete this.expressions[eventName]
+      this.matches.clear()
+    }
+  }
+
+  /**
+   * @method isLifecycleEvent
+   * Lifecycle events (i.e. `newListener`) describe changes to the
+   * listeners (or, in the case of `slowhandler`, their performance).
+   * They never trigger the `firstListener` or `lastListenerRemoved`
+   * events themselves, and are never propagated to other emitters.
+   * @param {string} eventName
+   * The event name.
+   * @return {boolean}
+   * @private
+   */
+  isLifecycleEvent (eventName) {
+    return ['newListener', 'removeListener', 'firstListener', 'lastListenerRemoved', 'slowhandler'].indexOf(eventName) >= 0
+  }
+
+  /**
+   * @method compareListeners
+   * A sort comparator for listeners (by priority, then sequence).
+   * @param {object} a
+   * @param {object} b
+   * @return {number}
+   * @private
+   */
+  compareListeners (a, b) {
+    return (b.priority - a.priority) || (a.sequence - b.sequence)
+  }
+
+  /**
+   * @method wrapSharedExtensions
+   * Adapts the features provided by the shared event emitter extensions.
+   *
+   * The #funnel and #threshold features remove their trigger handlers
+   * by creating a new (identical) trigger handler. Handlers are removed
+   * by reference, so each trigger handler is cached until its queue is
+   * removed, at which point the original handler is returned (and then
+   * removed). Trigger handlers removed by other means (i.e. #off) are
+   * dropped from the cache by #releaseListeners.
+   *
+   * Forwarded events (#forward) are recorded for the #topology.
+   * @private
+   */
+  wrapSharedExtensions () {
+    const triggers = this.sharedtriggers
+
+    const cache = (method, queue) => {
+      const createTrigger = this[method]
+
+      if (!NGN.isFn(createTrigger)) {
+        return
+      }
+
+      Object.defineProperty(this, method, NGN.privateconst(function (eventName, id) {
+        // Threshold triggers only receive the queue ID.
+        id = NGN.coalesce(id, eventName)
+
+        const key = method + ':' + eventName + ':' + id
+
+        if (!triggers.hasOwnProperty(key)) {
+          triggers[key] = createTrigger.apply(this, arguments)
+        }
+
+        let trigger = triggers[key]
+
+        if (!this[queue].hasOwnProperty(id)) {
+          delete triggers[key]
+        }
+
+        return trigger
+      }))
+    }
+
+    cache('handleCollectionTrigger', 'collectionQueue')
+    cache('handleThresholdTrigger', 'thresholdQueue')
+
+    const forward = this.forward
+
+    if (NGN.isFn(forward)) {
+      Object.defineProperty(this, 'forward', NGN.privateconst(function (eventName, triggers) {
+        let handle = forward.apply(this, arguments)
+        let relationship = {
+          from: this.getEventKey(eventName),
+          to: typeof triggers === 'string' ? [triggers] : NGN.slice(triggers)
+        }
+
+        this.forwards.push(relationship)
+
+        const remove = handle.remove
+
+        handle.remove = () => {
+          this.forwards = this.forwards.filter((item) => item !== relationship)
+          remove()
+        }
+
+        return handle
+      }))
+    }
+  }
+
+  /**
+   * @method deleteEventHandler
+   * Remove a specific event handler.
+   * @param {string} type
+   * Either `handler` (multi-use events) or `adhoc` (one-time events)
+   * @param {string} eventName
+   * Name of the event to remove.
+   * @param {function} handlerFn
+   * The handler function to remove from the event handlers.
+   * @private
+   */
+  deleteEventHandler (type, eventName, handlerFn) {
+    let scope = this[type]
+
+    eventName = this.getEventKey(eventName)
+
+    if (scope[eventName]) {
+      if (!handlerFn) {
+        this.purgeEventName(type, eventName)
+        return
+      }
+
+      let result = []
+      let removed = []
+
+      scope[eventName].forEach((listener) => {
+        if (listener.handler !== handlerFn) {
+          result.push(listener)
+        } else {
+          removed.push(listener)
+        }
+      })
+
+      if (result.length === 0) {
+        this.purgeEventName(type, eventName)
+        return
+      }
+
+      scope[eventName] = result
+      this.releaseListeners(removed)
+    }
+  }
+
+  /**
+   * @method purgeEventName
+   * Remove all of the handlers of a specific type for an event name,
+   * along with the compiled wildcard pattern once the event name is
+   * no longer used by any handler.
+   * @param {string} type
+   * Either `handlers` (multi-use events) or `adhoc` (one-time events)
+   * @param {string} eventName
+   * Name of the event to remove.
+   * @private
+   */
+  purgeEventName (type, eventName) {
+    eventName = this.getEventKey(eventName)
+
+    let listeners = this[type][eventName] || []
+
+    delete this[type][eventName]
+
+    this.releaseEventName(eventName)
+    this.releaseListeners(listeners)
+  }
+
+  /**
+   * @alias removeListener
+   * A node-like alias of the #off and #onceoff method (combined).
+   */
+  removeListener () {
+    this.off.apply(this, arguments)
+    this.onceoff.apply(this, arguments)
+  }
+
+  /**
+   * @method clear
+   * Remove all event handlers from the EventEmitter (both regular and adhoc).
+   * When all handlers are removed, the `removeListener` handlers are
+   * removed last (like Node), so they are notified of every other removal.
+   */
+  clear () {
+    if (arguments.length > 0) {
       NGN.slice(arguments).forEach((eventName) => {
-        delete this.handlers[eventName]
-        delete this.adhoc[eventName]
+        this.purgeEventName('handlers', eventName)
+        this.purgeEventName('adhoc', eventName)
+      })
+    } else {
+      this.eventNames().filter((eventName) => eventName !== 'removeListener').concat('removeListener').forEach((eventName) => {
+        this.purgeEventName('handlers', eventName)
+        this.purgeEventName('adhoc', eventName)
+      })
+    }
+  }
+
+  /**
+   * @alias removeAllListeners
+   * A node-like alias of the #clear method.
+   */
+  removeAllListeners () {
+    this.clear.apply(this, arguments)
+  }
+
+  /**
+   * @method emit
+   * Fires an event. This method accepts one or more arguments. The
+   * first argument is always the event name, followed by any number
+   * of payload arguments.
+   *
+   * Example:
+   * ```
+   * const EE = new NGN.EventEmitter()
+   *
+   * EE.emit('someevent', {payload: 1}, {payload: 2})
+   * ```
+   * The example above triggers an event called `someevent` and applies
+   * the remaining two arguments to any event handlers.
+   *
+   * Events are processed by middleware (see #use) before they are
+   * dispatched to handlers.
+   *
+   * Like Node, triggering an `error` event without any `error` handlers
+   * throws the error (the first payload argument).
+   *
+   * Handlers are executed with a scope (`this`) containing the following:
+   *
+   * - `event` (string): The name of the event.
+   * - `handler` (function): The handler being executed.
+   * - `origin` (string): `local` for events triggered within this
+   * browsing context, or the source of events received from another
+   * context (i.e. `tab`, see #share).
+   * - `match` (array): The result of matching the event name against the
+   * regular expression of the handler (see #on), including any capture
+   * groups. This is `null` for handlers without a regular expression.
+   * - `preventDefault()`: Flag the event as cancelled (vetoed). Other
+   * handlers are still executed.
+   * - `defaultPrevented` (boolean): Indicates `preventDefault()` was called.
+   * - `stopPropagation()`: Prevent the remaining handlers from being executed,
+   * and the event from propagating to parent/child emitters (see #createChild).
+   * One-time handlers which are not executed remain registered.
+   *
+   * ```
+   * NGN.BUS.on('route.leave', function (route) {
+   *   if (form.dirty) {
+   *     this.preventDefault()
+   *   }
+   * })
+   *
+   * if (!NGN.BUS.emit('route.leave', route).cancelled) {
+   *   navigate()
+   * }
+   * ```
+   * @param {string} eventName
+   * The name of the event to trigger.
+   * @return {object}
+   * The result of the event, containing the following attributes:
+   *
+   * - `event` (string): The name of the event (which may have been
+   * modified by middleware).
+   * - `dispatched` (boolean): Indicates the event was delivered to its
+   * handlers. This is `false` when middleware cancels the event (or has
+   * not yet passed it on).
+   * - `defaultPrevented` (boolean): Indicates a handler called `preventDefault()`.
+   * - `propagationStopped` (boolean): Indicates a handler called `stopPropagation()`.
+   * - `cancelled` (boolean): `true` if the event was not dispatched or
+   * the default was prevented (including by a parent emitter, see #createChild).
+   */
+  emit () {
+    let args = NGN.slice(arguments)
+
+    return this.trigger(args.shift(), args, null, null)
+  }
+
+  /**
+   * @method trigger
+   * Fires an event (see #emit), then propagates it to the parent and
+   * child emitters (see #createChild).
+   * @param {string} eventName
+   * The name of the event.
+   * @param {array} args
+   * The event payload.
+   * @param {NGN.EventEmitter} sender
+   * The emitter which propagated the event to this emitter (if any).
+   * The event is not propagated back to it.
+   * @param {object} [attributes]
+   * Additional attributes of the handler scope (see #createScope), such
+   * as the `origin` of remote events (see #share).
+   * @param {function} [callback]
+   * Executed with the event name and arguments (after middleware has been
+   * applied) once the event has been dispatched, unless it is cancelled.
+   * @return {object}
+   * The result of the event (see #emit).
+   * @private
+   */
+  trigger (eventName, args, sender, attributes, callback) {
+    // Trace the events triggered by handlers (see #topology).
+    if (this.executing.length > 0 && !this.isLifecycleEvent(eventName)) {
+      let source = this.executing[this.executing.length - 1]
+
+      if (source.emits.indexOf(eventName) < 0) {
+        source.emits.push(eventName)
+      }
+    }
+
+    let result = {
+      event: eventName,
+      dispatched: false,
+      defaultPrevented: false,
+      propagationStopped: false
+    }
+
+    Object.defineProperty(result, 'cancelled', {
+      enumerable: true,
+      get: () => !result.dispatched || result.defaultPrevented
+    })
+
+    this.intercept(eventName, args, (eventName, args) => {
+      let listeners = this.getEventListeners(eventName)
+
+      // Like Node, an error event without handlers throws the error.
+      // Propagated errors were already handled (or thrown) by the emitter
+      // they were triggered on.
+      if (eventName === 'error' && sender === null && listeners.length === 0) {
+        throw args[0] instanceof Error ? args[0] : new Error('Unhandled error event' + (args.length > 0 ? ' (' + String(args[0]) + ')' : '') + '.')
+      }
+
+      let scope = this.createScope(eventName, attributes)
+
+      result.event = eventName
+      result.dispatched = true
+
+      this.dispatch(eventName, listeners, args, scope)
+
+      result.defaultPrevented = scope.defaultPrevented
+      result.propagationStopped = scope.propagationStopped
+
+      if (!scope.propagationStopped && scope.origin === 'local') {
+        this.relay(eventName, args)
+      }
+
+      if (!scope.propagationStopped && !this.isLifecycleEvent(eventName)) {
+        this.propagate(eventName, args, sender, attributes, result)
+      }
+
+      if (NGN.isFn(callback) && !result.defaultPrevented) {
+        callback(eventName, args)
+      }
+    })
+
+    return result
+  }
+
+  /**
+   * @method propagate
+   * Bubbles an event up to the parent emitter and trickles it down to
+   * child emitters (see #createChild).
+   * @param {string} eventName
+   * The name of the event.
+   * @param {array} args
+   * The event payload.
+   * @param {NGN.EventEmitter} sender
+   * The emitter the event came from, if any.
+   * @param {object} attributes
+   * Additional attributes of the handler scope (see #trigger).
+   * @param {object} result
+   * The result of the event (see #emit). The default is prevented if
+   * any of the receiving emitters prevent it.
+   * @private
+   */
+  propagate (eventName, args, sender, attributes, result) {
+    let parent = this.parentemitter
+
+    if (parent !== null && parent !== sender) {
+      if (parent.trigger(this.eventprefix + eventName, args, this, attributes).defaultPrevented) {
+        result.defaultPrevented = true
+      }
+    }
+
+    this.children.slice().forEach((child) => {
+      if (child === sender || !child.trickledown || eventName.indexOf(child.eventprefix) !== 0) {
+        return
+      }
+
+      let childEventName = eventName.substr(child.eventprefix.length)
+
+      if (childEventName.length > 0 && child.trigger(childEventName, args, this, attributes).defaultPrevented) {
+        result.defaultPrevented = true
+      }
+    })
+  }
+
+  /**
+   * @method createChild
+   * Create a child emitter. Events triggered on the child bubble up to
+   * this (the parent) emitter, unless a child handler stops the propagation
+   * (see #emit). This allows components to use a private emitter while
+   * still publishing events to the parent (i.e. NGN.BUS).
+   *
+   * ```
+   * const cart = NGN.BUS.createChild({prefix: 'cart.'})
+   *
+   * NGN.BUS.on('cart.add', (item) => console.log(item))
+   *
+   * cart.emit('add', item) // Triggers cart.add on NGN.BUS
+   * ```
+   * @param {object} [options]
+   * Any NGN.EventEmitter configuration. The `isolateErrors` and
+   * `leakPolicy` default to the configuration of this (the parent)
+   * emitter. In addition:
+   * @param {string} [options.prefix]
+   * Prepended to the names of events bubbling up to the parent.
+   * @param {boolean} [options.trickle=false]
+   * Deliver parent events to the child. When a `prefix` is specified,
+   * only events starting with the prefix are delivered (the prefix is
+   * removed). For example, `cart.clear` is triggered as `clear` on the
+   * child in the example above. Events never trickle back down to the
+   * child they bubbled up from.
+   * @return {NGN.EventEmitter}
+   */
+  createChild (options) {
+    options = options || {}
+
+    let child = new NGN.EventEmitter(options)
+
+    child.isolateErrors = NGN.coalesce(options.isolateErrors, this.isolateErrors)
+    child.leakPolicy = NGN.coalesce(options.leakPolicy, this.leakPolicy)
+    child.parentemitter = this
+    child.eventprefix = NGN.coalesce(options.prefix, '')
+    child.trickledown = NGN.coalesce(options.trickle, false)
+
+    this.children.push(child)
+
+    return child
+  }
+
+  /**
+   * @method detach
+   * Disconnect a child emitter from its parent (see #createChild).
+   * Events are no longer propagated between them. Use this when the
+   * owner of the child emitter is destroyed.
+   */
+  detach () {
+    if (this.parentemitter === null) {
+      return
+    }
+
+    let siblings = this.parentemitter.children
+
+    siblings.splice(siblings.indexOf(this), 1)
+    this.parentemitter = null
+  }
+
+  /**
+   * @method use
+   * Add middleware, which is applied to every event triggered with #emit
+   * before it is dispatched to handlers. Middleware is executed in the
+   * order it is added. This applies to any event emitter, including
+   * NGN.BUS and NGN.NET.
+   *
+   * Middleware receives the event name, an array of the event arguments
+   * and a `next` method. Calling `next()` passes the event to the next
+   * middleware (or to the handlers). Calling `next(eventName, args)`
+   * passes a renamed event and/or replacement arguments instead. If
+   * `next` is never called, the event is cancelled (not delivered).
+   *
+   * ```
+   * // Redact sensitive data
+   * NGN.BUS.use(function (eventName, args, next) {
+   *   if (eventName === 'user.login') {
+   *     return next(eventName, [{username: args[0].username}])
+   *   }
+   *
+   *   next()
+   * })
+   *
+   * // Feature flags
+   * NGN.BUS.use(function (eventName, args, next) {
+   *   if (eventName.indexOf('beta.') !== 0 || features.beta) {
+   *     next()
+   *   }
+   * })
+   *
+   * // Timing
+   * NGN.BUS.use(function (eventName, args, next) {
+   *   let start = Date.now()
+   *   next()
+   *   console.log(eventName + ' took ' + (Date.now() - start) + 'ms')
+   * })
+   * ```
+   * Middleware may call `next` asynchronously, in which case the event is
+   * dispatched asynchronously. #emitAsync needs to know when the event is
+   * cancelled, so asynchronous middleware must return a Promise (and call
+   * `next` before it settles). Otherwise #emitAsync considers the event
+   * cancelled as soon as the middleware returns without calling `next`
+   * (while #emit still dispatches it when `next` is called).
+   *
+   * ```
+   * // Works with emit() and emitAsync()
+   * NGN.BUS.use(function (eventName, args, next) {
+   *   return authorize(eventName).then(() => next())
+   * })
+   * ```
+   * @param {function} middleware
+   * The middleware method.
+   * @return {object}
+   * An object with a `remove()` method, which removes the middleware.
+   */
+  use (middleware) {
+    if (!NGN.isFn(middleware)) {
+      throw new Error('Middleware must be a function (received ' + NGN.typeof(middleware) + ').')
+    }
+
+    this.middleware.push(middleware)
+
+    return {
+      remove: () => {
+        if (this.middleware.indexOf(middleware) >= 0) {
+          this.middleware.splice(this.middleware.indexOf(middleware), 1)
+        }
+      }
+    }
+  }
+
+  /**
+   * @method intercept
+   * Apply middleware (see #use) to an event.
+   * @param {string} eventName
+   * The name of the event.
+   * @param {array} args
+   * The event arguments.
+   * @param {function} callback
+   * Executed with the (potentially modified) event name and arguments
+   * once all middleware has been applied. This is not executed if the
+   * event is cancelled.
+   * @param {function} [cancel]
+   * Executed if the event is cancelled. Middleware which does not call
+   * `next()` before it returns is considered to have cancelled the event,
+   * unless it returns a Promise, in which case the event is cancelled
+   * if the Promise settles before `next()` is called.
+   * @private
+   */
+  intercept (eventName, args, callback, cancel) {
+    const stack = this.middleware.slice()
+
+    let step = (index, eventName, args) => {
+      if (index >= stack.length) {
+        return callback(eventName, args)
+      }
+
+      let called = false
+      let cancelled = false
+
+      const abort = () => {
+        if (!called && !cancelled && NGN.isFn(cancel)) {
+          cancelled = true
+          cancel()
+        }
+      }
+
+      let result = stack[index].call(this, eventName, args, (nextEventName, nextArgs) => {
+        // Ignore subsequent calls to next() and calls after cancellation.
+        if (called || cancelled) {
+          return
+        }
+
+        called = true
+        step(index + 1, NGN.coalesce(nextEventName, eventName), NGN.coalesce(nextArgs, args))
       })
+
+      if (result && NGN.isFn(result.then)) {
+        result.then(abort, abort)
+      } else {
+        abort()
+      }
+    }
+
+    step(0, eventName, args)
+  }
+
+  /**
+   * @method define
+   * Declare an event and (optionally) the shape of its payload. Declared
+   * events are listed in the #catalog, which can be used to generate
+   * documentation.
+   *
+   * ```
+   * NGN.BUS.define('user.login', {
+   *   description: 'Triggered when a user signs in.',
+   *   schema: {
+   *     username: String,
+   *     roles: Array,
+   *     profile: {
+   *       email: {
+   *         validate: (email) => email.indexOf('@') > 0
+   *       }
+   *     }
+   *   }
+   * })
+   *
+   * NGN.BUS.define('user.signin', {
+   *   deprecated: 'Use user.login instead.'
+   * })
+   * ```
+   * In development builds, the SANITY layer validates events against
+   * their definitions. Triggering an unknown event, triggering an event
+   * with a payload that does not match the schema, or using a deprecated
+   * event produces a warning or an error (see NGN.SANITY#eventValidation).
+   * Validation does not occur in production builds.
+   * @param {string} eventName
+   * The name of the event. Wildcards are supported (see #compilePattern).
+   * @param {object} [definition]
+   * @param {string} [definition.description]
+   * A description of the event.
+   * @param {object|array|function} [definition.schema]
+   * The expected payload. A schema object maps attributes of the payload
+   * (the first event argument) to a type. Types may be constructors (i.e.
+   * `String` or a class), type names (i.e. `'string'`), nested schema
+   * objects or validators. A validator is an object with a `validate`
+   * method, which receives the value and returns a boolean (so `validate`
+   * cannot be used as the name of a nested schema attribute). An array
+   * of schemas validates each event argument by position. A constructor
+   * or validator validates the first argument.
+   * @param {boolean|string} [definition.deprecated=false]
+   * Flag the event as deprecated. A string is used as the deprecation message.
+   */
+  define (eventName, definition) {
+    definition = definition || {}
+
+    this.definitions[eventName] = {
+      name: eventName,
+      description: NGN.coalesce(definition.description),
+      schema: NGN.coalesce(definition.schema),
+      deprecated: NGN.coalesce(definition.deprecated, false)
+    }
+
+    Object.defineProperty(this.definitions[eventName], 'pattern', NGN.private(
+      typeof eventName === 'string' && eventName.indexOf('*') >= 0 ? this.compilePattern(eventName) : null
+    ))
+  }
+
+  /**
+   * @method catalog
+   * Returns the events declared with #define.
+   * @return {array}
+   * An array of event definitions (sorted by event name), each containing
+   * a `name`, `description`, `schema` and `deprecated` attribute.
+   */
+  catalog () {
+    return Object.keys(this.definitions).sort().map((eventName) => {
+      const definition = this.definitions[eventName]
+
+      return {
+        name: definition.name,
+        description: definition.description,
+        schema: definition.schema,
+        deprecated: definition.deprecated
+      }
+    })
+  }
+
+  /**
+   * @method getDefinition
+   * Retrieve the definition (see #define) of an event. Exact event names
+   * take precedence over wildcard definitions.
+   * @param {string} eventName
+   * The name of the event.
+   * @return {object}
+   * The definition or `null` if the event has not been defined.
+   * @private
+   */
+  getDefinition (eventName) {
+    if (this.definitions.hasOwnProperty(eventName)) {
+      return this.definitions[eventName]
+    }
+
+    for (let name in this.definitions) {
+      if (this.definitions[name].pattern !== null && this.definitions[name].pattern.test(eventName)) {
+        return this.definitions[name]
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @method emitSticky
+   * Fires an event (exactly like #emit) and retains the payload. Handlers
+   * created after the event was triggered immediately receive the most
+   * recent payload, including handlers with wildcard event names.
+   * This is useful for "state" events, such as `app.ready`, which may occur
+   * before a component is ready to listen for them.
+   *
+   * ```
+   * NGN.BUS.emitSticky('user.loaded', user)
+   *
+   * // Later...
+   * NGN.BUS.on('user.*', function (user) {
+   *   console.log(this.event, this.sticky) // Outputs "user.loaded true"
+   * })
+   * ```
+   * A one-time handler (#once) which receives a sticky payload is
+   * removed immediately. Handlers can opt out of sticky payloads using
+   * the `sticky` option of #on and #once.
+   *
+   * The payload is retained after middleware (see #use) has been applied,
+   * so replayed events contain the same (i.e. redacted) payload as the
+   * original event. Cancelled events are not retained.
+   * @param {string} eventName
+   * The name of the event to trigger.
+   * @return {object}
+   * The result of the event (see #emit).
+   */
+  emitSticky () {
+    let args = NGN.slice(arguments)
+
+    return this.trigger(args.shift(), args, null, null, (eventName, args) => {
+      // Retain the insertion order of the most recent events.
+      this.stickies.delete(eventName)
+      this.stickies.set(eventName, args)
+    })
+  }
+
+  /**
+   * @method clearSticky
+   * Discard the retained payload of a sticky event (see #emitSticky).
+   * @param {string} [eventName]
+   * The name of the event. If this is not specified, all sticky events
+   * are cleared.
+   */
+  clearSticky (eventName) {
+    if (eventName === undefined) {
+      this.stickies.clear()
     } else {
-      this.handlers = {}
-      this.adhoc = {}
+      this.stickies.delete(eventName)
     }
   }
 
   /**
-   * @alias removeAllListeners
-   * A node-like alias of the #clear method.
+   * @method replaySticky
+   * Applies previously triggered sticky events to a new listener.
+   * A one-time listener only receives the most recent matching event.
+   * @param {string} type
+   * Either `handlers` (multi-use events) or `adhoc` (one-time events)
+   * @param {string} eventName
+   * Name of the event the listener responds to.
+   * @param {object} listener
+   * The new listener.
+   * @param {boolean|object} [options]
+   * The options used to create the listener (see #on).
+   * @private
    */
-  removeAllListeners () {
-    this.clear.apply(this, arguments)
+  replaySticky (type, eventName, listener, options) {
+    if (this.stickies.size === 0 || (options && options.sticky === false)) {
+      return
+    }
+
+    let events = []
+
+    this.stickies.forEach((args, stickyEvent) => {
+      if (stickyEvent === eventName || (this.getPattern(eventName) !== null && this.getPattern(eventName).test(stickyEvent))) {
+        events.push(stickyEvent)
+      }
+    })
+
+    // One-time listeners are consumed by the most recent event.
+    if (type === 'adhoc') {
+      events = events.slice(-1)
+    }
+
+    events.forEach((stickyEvent) => {
+      this.dispatch(stickyEvent, [listener], this.stickies.get(stickyEvent), this.createScope(stickyEvent, {
+        sticky: true
+      }))
+    })
   }
 
   /**
-   * @method emit
-   * Fires an event. This method accepts one or more arguments. The
-   * first argument is always the event name, followed by any number
-   * of payload arguments.
+   * @method dispatch
+   * Execute event listeners, applying error isolation (see #isolateErrors).
+   * Listeners which are removed before their turn (i.e. by another handler)
+   * are skipped. Execution ends when a handler stops propagation.
+   * @param {string} eventName
+   * The name of the event being triggered.
+   * @param {array} listeners
+   * The listeners to execute (in order).
+   * @param {array} args
+   * The event payload.
+   * @param {object} scope
+   * The scope (`this`) applied to each handler (see #createScope).
+   * @private
+   */
+  dispatch (eventName, listeners, args, scope) {
+    listeners = listeners.slice()
+
+    if (!this.isolateerrors || eventName === 'error') {
+      while (listeners.length > 0 && !scope.propagationStopped) {
+        let listener = listeners.shift()
+
+        if (!listener.removed) {
+          this.invokeListener(listener, scope, args)
+        }
+      }
+
+      return
+    }
+
+    let uncaught = null
+
+    while (listeners.length > 0 && !scope.propagationStopped) {
+      let listener = listeners.shift()
+
+      if (listener.removed) {
+        continue
+      }
+
+      try {
+        this.invokeListener(listener, scope, args)
+      } catch (err) {
+        if (!this.reportListenerError(err, eventName, listener, args) && uncaught === null) {
+          uncaught = err
+        }
+      }
+    }
+
+    if (uncaught !== null) {
+      throw uncaught
+    }
+  }
+
+  /**
+   * @method reportListenerError
+   * Emits an error thrown by a handler as an `error` event.
+   * @param {Error} err
+   * The error.
+   * @param {string} eventName
+   * The name of the event being handled.
+   * @param {object} listener
+   * The listener which threw the error.
+   * @param {array} args
+   * The event payload.
+   * @return {boolean}
+   * `false` if there are no `error` handlers to report the error to.
+   * @private
+   */
+  reportListenerError (err, eventName, listener, args) {
+    if (this.getAllEvents('error').length === 0) {
+      return false
+    }
+
+    this.emit('error', err, {
+      event: eventName,
+      handler: listener.handler,
+      payload: args
+    })
+
+    return true
+  }
+
+  /**
+   * @method publish
+   * An alias of the #emit method.
+   */
+  publish () {
+    return this.emit.apply(this, arguments)
+  }
+
+  /**
+   * @method emitAsync
+   * Fires an event and waits for every handler to finish. This works
+   * like #emit, but handlers may return a Promise (or any value). The
+   * returned Promise resolves once all handlers have completed.
    *
    * Example:
    * ```
-   * const EE = new NGN.EventEmitter()
+   * NGN.BUS.on('record.save', function (record) {
+   *   return fetch('/api/records', {method: 'POST', body: JSON.stringify(record)})
+   * })
    *
-   * EE.emit('someevent', {payload: 1}, {payload: 2})
+   * NGN.BUS.emitAsync('record.save', record).then(function (results) {
+   *   console.log('All subscribers finished.', results)
+   * })
    * ```
-   * The example above triggers an event called `someevent` and applies
-   * the remaining two arguments to any event handlers.
-   * @param {string} eventName
+   *
+   * The first argument may also be a configuration object, which
+   * overrides the defaults for a single emit:
+   *
+   * ```
+   * NGN.BUS.emitAsync({
+   *   event: 'cart.total',
+   *   mode: 'serial',
+   *   reducer: function (total, subtotal) {
+   *     return total + subtotal
+   *   },
+   *   initial: 0
+   * }, cart).then(function (total) { ... })
+   * ```
+   * @param {string|object} eventName
+   * The name of the event to trigger, or a configuration object.
+   * @param {string} eventName.event
    * The name of the event to trigger.
+   * @param {string} [eventName.mode]
+   * `serial` or `parallel`. Defaults to #asyncMode.
+   * @param {function} [eventName.reducer]
+   * When specified, the results are combined using this method (applied the
+   * same way as `Array.prototype.reduce`) instead of being returned as an array.
+   * @param {any} [eventName.initial]
+   * The initial value passed to the reducer.
+   * Handlers receive the same scope as #emit. In `serial` mode, calling
+   * `this.stopPropagation()` prevents the remaining handlers from executing.
+   *
+   * Middleware (see #use) is applied before the handlers are executed.
+   * Asynchronous middleware must return a Promise (and call `next` before
+   * it resolves). If the event is cancelled by middleware, the returned
+   * Promise resolves with an empty array (or the `initial` value when a
+   * reducer is used).
+   * @return {Promise}
+   * Resolves with an array of handler results (in the order the handlers
+   * were executed) or the reduced value. Rejects if any handler throws
+   * an error or returns a rejected Promise.
    */
-  emit () {
+  emitAsync () {
     let args = NGN.slice(arguments)
-    const eventName = args.shift()
-    const events = this.getAllEvents(eventName)
+    let options = args.shift()
+
+    options = NGN.typeof(options) === 'object' ? options : { event: options }
+
+    return new Promise((resolve) => {
+      this.intercept(options.event, args, (eventName, args) => {
+        const listeners = this.getEventListeners(eventName)
+        const scope = this.createScope(eventName)
+
+        let results
+
+        if (NGN.coalesce(options.mode, this.asyncMode) === 'serial') {
+          results = listeners.reduce((chain, listener) => {
+            return chain.then((list) => {
+              if (listener.removed || scope.propagationStopped) {
+                return list
+              }
 
+              return Promise.resolve(this.invokeListener(listener, scope, args)).then((result) => {
+                list.push(result)
+                return list
+              })
+            })
+          }, Promise.resolve([]))
+        } else {
+          results = new Promise((resolve) => {
+            let list = []
+
+            listeners.forEach((listener) => {
+              if (!listener.removed && !scope.propagationStopped) {
+                list.push(this.invokeListener(listener, scope, args))
+              }
+            })
+
+            resolve(list)
+          }).then((list) => Promise.all(list))
+        }
+
+        resolve(results.then((list) => {
+          if (!NGN.isFn(options.reducer)) {
+            return list
+          }
+
+          return options.hasOwnProperty('initial')
+            ? list.reduce(options.reducer, options.initial)
+            : list.reduce(options.reducer)
+        }))
+      }, () => resolve(NGN.isFn(options.reducer) ? options.initial : []))
+    })
+  }
+
+  /**
+   * @method createScope
+   * Creates the scope (`this`) applied to event handlers (see #emit).
+   * @param {string} eventName
+   * The name of the event.
+   * @param {object} [attributes]
+   * Additional attributes to apply to the scope.
+   * @return {object}
+   * @private
+   */
+  createScope (eventName, attributes) {
     let scope = {
-      event: eventName
+      event: eventName,
+      origin: 'local',
+      defaultPrevented: false,
+      propagationStopped: false
     }
 
-    for (let name in events) {
-      let adhocEvent = this.adhoc[events[name]]
-      // Adhoc event handling
-      if (adhocEvent) {
-        delete this.adhoc[events[name]]
-
-        while (adhocEvent.length > 0) {
-          let fn = adhocEvent.pop()
-          scope.handler = fn
-          fn.apply(scope, args)
+    scope.preventDefault = () => {
+      scope.defaultPrevented = true
+    }
+
+    scope.stopPropagation = () => {
+      scope.propagationStopped = true
+    }
+
+    for (let attribute in (attributes || {})) {
+      scope[attribute] = attributes[attribute]
+    }
+
+    return scope
+  }
+
+  /**
+   * @method invokeListener
+   * Execute a listener's handler, applying the listener's debounce or
+   * throttle configuration (see #on).
+   * @param {object} listener
+   * The listener to execute.
+   * @param {object} scope
+   * The scope (`this`) of the handler.
+   * @param {array} args
+   * The event payload.
+   * @return {any}
+   * The value returned by the handler (`undefined` if the execution is
+   * debounced or throttled).
+   * @private
+   */
+  invokeListener (listener, scope, args) {
+    if (listener.debounce > 0) {
+      clearTimeout(listener.timer)
+
+      listener.timer = setTimeout(() => {
+        listener.timer = null
+
+        if (listener.removed) {
+          return
         }
-      }
 
-      // Regular event handling
-      let handler = this.handlers[events[name]]
-      if (handler) {
-        for (let fn in handler) {
-          scope.handler = handler[fn]
-          handler[fn].apply(scope, args)
+        try {
+          this.executeListener(listener, scope, args)
+        } catch (err) {
+          if (!this.isolateerrors || scope.event === 'error' || !this.reportListenerError(err, scope.event, listener, args)) {
+            throw err
+          }
         }
+      }, listener.debounce)
+
+      return
+    }
+
+    if (listener.throttle > 0) {
+      const now = Date.now()
+
+      if (now - listener.lastrun < listener.throttle) {
+        return
       }
+
+      listener.lastrun = now
+    }
+
+    return this.executeListener(listener, scope, args)
+  }
+
+  /**
+   * @method executeListener
+   * Execute a listener's handler immediately.
+   * @param {object} listener
+   * The listener to execute.
+   * @param {object} scope
+   * The event scope.
+   * @param {array} args
+   * The event payload.
+   * @return {any}
+   * The value returned by the handler.
+   * @private
+   */
+  executeListener (listener, scope, args) {
+    // The expression is discarded when its last listener is removed.
+    const match = this.expressions.hasOwnProperty(listener.event) ? this.expressions[listener.event].exec(scope.event) : null
+
+    // One-time (and exhausted) listeners are removed before execution,
+    // so they cannot be triggered again by a nested emit.
+    if (listener.type === 'adhoc' || (listener.remaining !== null && --listener.remaining <= 0)) {
+      this.deleteEventListener(listener)
+    }
+
+    scope.handler = listener.handler
+    scope.match = match
+
+    const instrumented = this.instrumentation
+    let start = instrumented ? this.timestamp() : 0
+    let error = null
+
+    this.executing.push(listener)
+
+    try {
+      return listener.handler.apply(NGN.coalesce(listener.context, scope), args)
+    } catch (err) {
+      error = err
+      throw err
+    } finally {
+      this.executing.pop()
+
+      if (instrumented) {
+        this.recordExecution(listener, scope.event, this.timestamp() - start, error)
+      }
+    }
+  }
+
+  /**
+   * @method recordExecution
+   * Records the statistics of a handler execution (see #instrument).
+   * @param {object} listener
+   * The executed listener.
+   * @param {string} eventName
+   * The name of the event being handled.
+   * @param {number} duration
+   * The run time of the handler (milliseconds).
+   * @param {Error} [error]
+   * The error thrown by the handler, if any.
+   * @private
+   */
+  recordExecution (listener, eventName, duration, error) {
+    listener.stats = listener.stats || this.createStats()
+    this.statistics[eventName] = this.statistics[eventName] || this.createStats()
+
+    ;[listener.stats, this.statistics[eventName]].forEach((stats) => {
+      stats.count++
+      stats.total += duration
+      stats.max = Math.max(stats.max, duration)
+
+      if (error) {
+        stats.lastError = error
+      }
+    })
+
+    if (duration > this.slowthreshold && eventName !== 'slowhandler') {
+      this.emit('slowhandler', {
+        event: eventName,
+        handler: listener.handler,
+        duration: duration,
+        threshold: this.slowthreshold
+      })
+    }
+  }
+
+  /**
+   * @method createStats
+   * @return {object}
+   * An empty set of execution statistics.
+   * @private
+   */
+  createStats () {
+    return {
+      count: 0,
+      total: 0,
+      max: 0,
+      lastError: null
+    }
+  }
+
+  /**
+   * @method copyStats
+   * @param {object} stats
+   * The execution statistics to copy.
+   * @return {object}
+   * @private
+   */
+  copyStats (stats) {
+    return {
+      count: stats.count,
+      total: stats.total,
+      max: stats.max,
+      lastError: stats.lastError
+    }
+  }
+
+  /**
+   * @method timestamp
+   * A high resolution timestamp (milliseconds), if supported.
+   * @return {number}
+   * @private
+   */
+  timestamp () {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now()
+  }
+
+  /**
+   * @method getEventListeners
+   * Retrieves the listeners which should respond to an event, in the order
+   * they should be executed (see #on). Paused listeners are ignored.
+   * @param {string} eventName
+   * The name of the event being triggered.
+   * @return {array}
+   * @private
+   */
+  getEventListeners (eventName) {
+    const events = this.getAllEvents(eventName)
+    let listeners = []
+
+    for (let name in events) {
+      listeners = listeners.concat(this.adhoc[events[name]] || [], this.handlers[events[name]] || [])
     }
+
+    return listeners.filter((listener) => !listener.paused).sort(this.compareListeners)
   }
 
   /**
    * @method getAllEvents
-   * Returns all of the events that match an event name. The event name
-   * may contain wildcards (i.e. `*`) or it can be a regular expression.
-   * @param  {string|regexp} eventName
-   * A string or regular expression defining which event names to identify.
-   * A string value containing an asterisk (*) will be converted to a regular
-   * expression for simplistic wildcard event handling purposes.
+   * Returns all of the events that match an event name. Handlers may be
+   * registered using wildcard event names (see #compilePattern).
+   *
+   * Exact event names are identified by a direct lookup. The wildcard
+   * event names matching a specific event name are cached, so patterns
+   * are only tested the first time an event name is triggered (or after
+   * a wildcard handler is added/removed).
+   * @param  {string} eventName
+   * The event name to identify handlers for.
    * @return {array}
    * An array of unique event names with handlers or adhoc handlers.
    * @private
    */
   getAllEvents (eventName) {
-    const regularEvents = Object.keys(this.handlers)
-    const adhocEvents = Object.keys(this.adhoc)
-    let allEvents = NGN.dedupe(regularEvents.concat(adhocEvents))
+    let events = this.handlers.hasOwnProperty(eventName) || this.adhoc.hasOwnProperty(eventName) ? [eventName] : []
 
-    allEvents = allEvents.filter(function (event) {
-      // If the event is an exact match, don't filter it out.
-      if (event === eventName) {
-        return true
+    if (!this.matches.has(eventName)) {
+      // Prevent unbounded growth when many unique event names are used.
+      if (this.matches.size >= 1000) {
+        this.matches.clear()
       }
 
-      // If the event is a regexp/wildcard, further processing is necessary.
-      if (NGN.typeof(event) === 'regexp' || event.indexOf('*') >= 0) {
-        // Convert wildcard events to a regular expression.
-        if (NGN.typeof(event) !== 'regexp') {
-          event = new RegExp(event.replace('*', '.*', 'gi'))
-        }
-        // If the event name matches the event, keep it.
-        return event.test(eventName)
-      }
+      this.matches.set(eventName, Object.keys(this.patterns).concat(Object.keys(this.expressions)).filter((pattern) => {
+        return pattern !== eventName && this.getPattern(pattern).test(eventName)
+      }))
+    }
 
-      // None of the criteria were met. Ignore the event.
-      return false
+    return events.concat(this.matches.get(eventName))
+  }
+
+  /**
+   * @method getPattern
+   * @param {string} eventName
+   * The event name (or string representation of a regular expression).
+   * @return {RegExp}
+   * The wildcard pattern (see #compilePattern) or regular expression
+   * used to match the event name, or `null` for exact event names.
+   * @private
+   */
+  getPattern (eventName) {
+    return this.patterns[eventName] || this.expressions[eventName] || null
+  }
+
+  /**
+   * @method getEventKey
+   * Regular expression event names are stored by their string
+   * representation (i.e. `/^user\.(login|logout)$/`).
+   * @param {string|RegExp} eventName
+   * @return {string}
+   * @private
+   */
+  getEventKey (eventName) {
+    return NGN.typeof(eventName) === 'regexp' ? eventName.toString() : eventName
+  }
+
+  /**
+   * @method normalizeExpression
+   * Global/sticky expressions are stateful, which would cause alternating
+   * results when the same expression is tested repeatedly.
+   * @param {RegExp} expression
+   * @return {RegExp}
+   * A stateless copy of the expression.
+   * @private
+   */
+  normalizeExpression (expression) {
+    return NGN.EventPattern.normalize(expression)
+  }
+
+  /**
+   * @method relay
+   * Executes the relays matching a locally triggered event (see #relayEvents).
+   * @param {string} eventName
+   * The name of the event.
+   * @param {array} args
+   * The event arguments.
+   * @private
+   */
+  relay (eventName, args) {
+    this.relays.slice().forEach((record) => {
+      if (record.matches(eventName)) {
+        record.relay(eventName, args)
+      }
     })
+  }
 
-    return allEvents
+  /**
+   * @method compilePattern
+   * Converts a wildcard event name into a regular expression (see
+   * NGN.EventPattern#compile for the wildcard grammar).
+   * @param {string} eventName
+   * The wildcard event name.
+   * @return {RegExp}
+   * @private
+   */
+  compilePattern (eventName) {
+    return NGN.EventPattern.compile(eventName)
   }
 }
 
+/**
+ * @property {WeakMap} mixins
+ * The emitter of each object the event API was applied to (see #mixin).
+ * @static
+ * @private
+ */
+Object.defineProperty(EventEmitter, 'mixins', NGN.private(new WeakMap()))
+
 NGN.extend('EventEmitter', NGN.private(EventEmitter))
@@ -0,0 +1,322 @@
+'use strict'
+
+if (!window.NGN) {
+  throw new Error('The EventPipeline class is dependent on the presence of NGN.')
+}
+
+/**
+ * @class EventPipeline
+ * A composable sequence of operators applied to the payloads of one or
+ * more events. Pipelines are created with NGN.EventEmitter#from:
+ *
+ * ```
+ * NGN.BUS.from('search.input')
+ *   .debounce(200)
+ *   .map((input) => input.trim())
+ *   .filter((query) => query.length > 2)
+ *   .distinct()
+ *   .to('search.query')
+ * ```
+ * Pipelines are immutable. Each operator returns a new pipeline, so a
+ * pipeline can be shared and extended in different ways. No handlers
+ * are added to the emitter until the pipeline is activated with #to or
+ * #subscribe.
+ *
+ * Like NGN.EventEmitter#waitFor, the value of each event is its first
+ * argument.
+ *
+ * Pipelines implement `Symbol.observable`, so they can be consumed by
+ * observable libraries (i.e. `Rx.Observable.from(pipeline)`).
+ * @protected
+ */
+class EventPipeline {
+  /**
+   * @constructor
+   * This is a protected class. Use NGN.EventEmitter#from to create pipelines.
+   * @param {NGN.EventEmitter} emitter
+   * The emitter the events are received from.
+   * @param {array} sources
+   * The event names to receive.
+   * @param {string} [combine=merge]
+   * See NGN.EventEmitter#from.
+   * @param {array} [operators]
+   * The operators applied to each value (see #pipe).
+   */
+  constructor (emitter, sources, combine, operators) {
+    combine = NGN.coalesce(combine, 'merge')
+
+    if (['merge', 'combineLatest', 'zip'].indexOf(combine) < 0) {
+      throw new Error('Invalid event combination "' + combine + '". Valid options are "merge", "combineLatest" and "zip".')
+    }
+
+    Object.defineProperties(this, {
+      emitter: NGN.private(emitter),
+      sources: NGN.private(sources),
+      combine: NGN.private(combine),
+      operators: NGN.private(operators || [])
+    })
+  }
+
+  /**
+   * @method pipe
+   * Apply a custom operator. All of the built-in operators are
+   * implemented this way.
+   *
+   * ```
+   * // Multiply each value by 10
+   * pipeline.pipe((next) => (value) => next(value * 10))
+   * ```
+   * @param {function} operator
+   * A method which receives a `next` method (which passes a value to the
+   * remainder of the pipeline) and a `teardown` array. It must return a
+   * method that receives each value. Methods added to the `teardown`
+   * array are executed when the subscription ends, which is useful for
+   * clearing timers.
+   * @return {NGN.EventPipeline}
+   */
+  pipe (operator) {
+    return new EventPipeline(this.emitter, this.sources, this.combine, this.operators.concat(operator))
+  }
+
+  /**
+   * @method map
+   * Transform each value.
+   * @param {function} fn
+   * Receives the value and returns the replacement value.
+   * @return {NGN.EventPipeline}
+   */
+  map (fn) {
+    return this.pipe((next) => (value) => next(fn(value)))
+  }
+
+  /**
+   * @method filter
+   * Ignore values which do not pass a test.
+   * @param {function} fn
+   * Receives the value and returns `true` to keep it.
+   * @return {NGN.EventPipeline}
+   */
+  filter (fn) {
+    return this.pipe((next) => (value) => {
+      if (fn(value)) {
+        next(value)
+      }
+    })
+  }
+
+  /**
+   * @method tap
+   * Execute a method for each value without modifying it (i.e. logging).
+   * @param {function} fn
+   * Receives the value.
+   * @return {NGN.EventPipeline}
+   */
+  tap (fn) {
+    return this.pipe((next) => (value) => {
+      fn(value)
+      next(value)
+    })
+  }
+
+  /**
+   * @method distinct
+   * Ignore values which are the same as the previous value.
+   * @param {function} [compare]
+   * Receives the previous and current values and returns `true` if they
+   * are the same. By default, values are compared using strict equality.
+   * @return {NGN.EventPipeline}
+   */
+  distinct (compare) {
+    return this.pipe((next) => {
+      let initialized = false
+      let previous
+
+      return (value) => {
+        if (initialized && (NGN.isFn(compare) ? compare(previous, value) : previous === value)) {
+          return
+        }
+
+        initialized = true
+        previous = value
+        next(value)
+      }
+    })
+  }
+
+  /**
+   * @method debounce
+   * Wait until values stop arriving for the specified number of
+   * milliseconds, then pass on the most recent value.
+   * @param {number} milliseconds
+   * @return {NGN.EventPipeline}
+   */
+  debounce (milliseconds) {
+    return this.pipe((next, teardown) => {
+      let timer = null
+
+      teardown.push(() => clearTimeout(timer))
+
+      return (value) => {
+        clearTimeout(timer)
+        timer = setTimeout(() => next(value), milliseconds)
+      }
+    })
+  }
+
+  /**
+   * @method throttle
+   * Pass on at most one value within the specified number of milliseconds.
+   * Values arriving within the interval are ignored.
+   * @param {number} milliseconds
+   * @return {NGN.EventPipeline}
+   */
+  throttle (milliseconds) {
+    return this.pipe((next) => {
+      let lastrun = 0
+
+      return (value) => {
+        const now = Date.now()
+
+        if (now - lastrun >= milliseconds) {
+          lastrun = now
+          next(value)
+        }
+      }
+    })
+  }
+
+  /**
+   * @method subscribe
+   * Activate the pipeline.
+   * @param {function|object} observer
+   * A method which receives each value, or an observer object with
+   * `next`, `error` and `complete` methods (all optional). An error thrown
+   * by an operator ends the subscription. It is passed to the `error`
+   * method of the observer, or thrown if the observer has no `error` method.
+   * Events never complete, so the `complete` method is never executed
+   * (unsubscribing does not complete the pipeline).
+   * @return {object}
+   * A subscription with an `unsubscribe()` method and a `closed` attribute.
+   */
+  subscribe (observer) {
+    observer = NGN.isFn(observer) ? { next: observer } : (observer || {})
+
+    let closed = false
+    let teardown = []
+    let handles = []
+
+    const unsubscribe = () => {
+      if (closed) {
+        return
+      }
+
+      closed = true
+      handles.forEach((handle) => handle.unsubscribe())
+      teardown.forEach((fn) => fn())
+    }
+
+    const fail = (err) => {
+      unsubscribe()
+
+      if (!NGN.isFn(observer.error)) {
+        throw err
+      }
+
+      observer.error(err)
+    }
+
+    // Each step stops receiving values once the subscription is closed,
+    // including values delivered by timers (i.e. debounce).
+    const guard = (fn) => (value) => {
+      if (closed) {
+        return
+      }
+
+      try {
+        fn(value)
+      } catch (err) {
+        if (!closed) {
+          fail(err)
+        } else if (!NGN.isFn(observer.error)) {
+          throw err
+        }
+      }
+    }
+
+    let receive = guard((value) => {
+      if (NGN.isFn(observer.next)) {
+        observer.next(value)
+      }
+    })
+
+    for (let i = this.operators.length - 1; i >= 0; i--) {
+      receive = guard(this.operators[i](receive, teardown))
+    }
+
+    const latest = []
+    const queues = this.sources.map(() => [])
+    const received = this.sources.map(() => false)
+
+    handles = this.sources.map((eventName, index) => {
+      return this.emitter.on(eventName, (value) => {
+        switch (this.combine) {
+          case 'combineLatest':
+            latest[index] = value
+            received[index] = true
+
+            if (received.every((status) => status)) {
+              receive(latest.slice())
+            }
+
+            return
+
+          case 'zip':
+            queues[index].push(value)
+
+            if (queues.every((queue) => queue.length > 0)) {
+              receive(queues.map((queue) => queue.shift()))
+            }
+
+            return
+
+          default:
+            receive(value)
+        }
+      })
+    })
+
+    return Object.defineProperties({}, {
+      closed: {
+        enumerable: true,
+        get: () => closed
+      },
+
+      unsubscribe: NGN.const(unsubscribe)
+    })
+  }
+
+  /**
+   * @method to
+   * Activate the pipeline, triggering an event (through
+   * NGN.EventEmitter#emit) with each value.
+   * @param {string} eventName
+   * The event to trigger.
+   * @param {NGN.EventEmitter} [emitter]
+   * The emitter to trigger the event on. Defaults to the emitter the
+   * pipeline receives events from.
+   * @return {object}
+   * A subscription (see #subscribe).
+   */
+  to (eventName, emitter) {
+    emitter = emitter || this.emitter
+
+    return this.subscribe((value) => emitter.emit(eventName, value))
+  }
+}
+
+// Observable interoperability (https://github.com/tc39/proposal-observable)
+Object.defineProperty(EventPipeline.prototype, (typeof Symbol === 'function' && Symbol.observable) || '@@observable', NGN.private(function () {
+  return this
+}))
+
+NGN.extend('EventPipeline', NGN.private(EventPipeline))
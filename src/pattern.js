@@ -0,0 +1,100 @@
+'use strict'
+
+/**
+ * @class EventPattern
+ * Compiles wildcard and regular expression event names. This is shared
+ * by NGN.EventEmitter and the worker BUS (see worker.js), so both match
+ * the same events. It does not require NGN, so it can be loaded within
+ * a worker (where it is not added to NGN).
+ * @private
+ */
+class EventPattern {
+  /**
+   * @method from
+   * Converts wildcard and regular expression event names into a
+   * (stateless) regular expression.
+   * @param {string|RegExp} eventName
+   * The event name.
+   * @return {RegExp}
+   * `null` for exact event names.
+   * @static
+   */
+  static from (eventName) {
+    // Expressions from another realm (i.e. a worker) fail instanceof checks.
+    if (Object.prototype.toString.call(eventName) === '[object RegExp]') {
+      return EventPattern.normalize(eventName)
+    }
+
+    return typeof eventName === 'string' && eventName.indexOf('*') >= 0 ? EventPattern.compile(eventName) : null
+  }
+
+  /**
+   * @method normalize
+   * Global/sticky expressions are stateful, which would cause alternating
+   * results when the same expression is tested repeatedly.
+   * @param {RegExp} expression
+   * @return {RegExp}
+   * A stateless copy of the expression.
+   * @static
+   */
+  static normalize (expression) {
+    return new RegExp(expression.source, (expression.ignoreCase ? 'i' : '') + (expression.multiline ? 'm' : '') + (expression.unicode ? 'u' : ''))
+  }
+
+  /**
+   * @method compile
+   * Converts a wildcard event name into a regular expression. Event names
+   * are split into segments by dots (`.`). The following wildcards are
+   * recognized:
+   *
+   * - `*` as a complete segment matches exactly one segment.
+   * `user.*` matches `user.login`, but not `user` or `user.login.failed`.
+   * - `*` within a segment matches any characters within that segment.
+   * `user.log*` matches `user.login` and `user.logout`.
+   * - `**` as a complete segment matches any number of segments (including none).
+   * `user.**` matches `user`, `user.login` and `user.login.failed`.
+   * `**.failed` matches `failed` and `user.login.failed`.
+   *
+   * All other characters are matched literally.
+   * @param {string} eventName
+   * The wildcard event name.
+   * @return {RegExp}
+   * @static
+   */
+  static compile (eventName) {
+    // Consecutive globstars are redundant.
+    let segments = eventName.split('.').filter((segment, index, list) => {
+      return segment !== '**' || list[index - 1] !== '**'
+    })
+
+    let source = segments.map((segment, index) => {
+      const last = index === segments.length - 1
+
+      if (segment === '**') {
+        if (segments.length === 1) {
+          return '.*'
+        }
+
+        // A trailing globstar owns the preceding separator, otherwise it
+        // owns the trailing separator.
+        return last ? '(?:\\.[^.]+)*' : '(?:[^.]+\\.)*'
+      }
+
+      segment = segment === '*'
+        ? '[^.]+'
+        : segment.split('*').map((part) => part.replace(/[\\^$+?.()|[\]{}]/g, '\\$&')).join('[^.]*')
+
+      if (!last && !(segments[index + 1] === '**' && index + 1 === segments.length - 1)) {
+        segment += '\\.'
+      }
+
+      return segment
+    })
+
+    return new RegExp('^' + source.join('') + '$')
+  }
+}
+
+if (typeof NGN !== 'undefined') {
+  NGN.extend('EventPattern', NGN.private(EventPattern))
+}
@@ -69,6 +69,139 @@ Object.defineProperties(NGN.SANITY, {
   warn: NGN.privateconst(function (msg) {
     console.warn(msg)
     return false
+  }),
+
+  /**
+   * @property {Object} eventValidation
+   * Determines how events are validated against their definitions
+   * (see NGN.EventEmitter#define). Each attribute may be set to
+   * `ignore`, `warn` or `error` (throws an error).
+   *
+   * - `unknown` (default `ignore`): An event is triggered on an emitter with
+   * a catalog, but the event has not been defined.
+   * - `schema` (default `warn`): The event payload does not match the schema.
+   * - `deprecated` (default `warn`): A deprecated event is triggered or
+   * a handler is added for a deprecated event.
+   *
+   * ```js
+   * NGN.SANITY.eventValidation.unknown = 'warn'
+   * NGN.SANITY.eventValidation.schema = 'error'
+   * ```
+   */
+  eventValidation: NGN.const({
+    unknown: 'ignore',
+    schema: 'warn',
+    deprecated: 'warn'
+  }),
+
+  /**
+   * @method validateEvent
+   * Validates an event against the emitter's event catalog.
+   * @private
+   * @param {NGN.EventEmitter} emitter The emitter
+   * @param {String} eventName The name of the event
+   * @param {Array} [payload] The event arguments (only provided when the event is triggered)
+   */
+  validateEvent: NGN.privateconst(function (emitter, eventName, payload) {
+    if (typeof eventName !== 'string') {
+      return
+    }
+
+    const definition = emitter.getDefinition(eventName)
+
+    if (definition === null) {
+      // Lifecycle and error events are never part of a catalog.
+      if (payload !== undefined && emitter.catalog().length > 0 && eventName !== 'error' && !emitter.isLifecycleEvent(eventName)) {
+        this.report('unknown', 'The "' + eventName + '" event has not been defined.')
+      }
+
+      return
+    }
+
+    if (definition.deprecated) {
+      this.report('deprecated', 'The "' + eventName + '" event is deprecated.' + (typeof definition.deprecated === 'string' ? ' ' + definition.deprecated : ''))
+    }
+
+    if (payload !== undefined && definition.schema !== null) {
+      const schema = Array.isArray(definition.schema) ? definition.schema : [definition.schema]
+
+      schema.forEach((type, index) => {
+        const problem = this.checkType(type, payload[index], 'argument ' + (index + 1))
+
+        if (problem !== null) {
+          this.report('schema', 'Invalid "' + eventName + '" event payload: ' + problem)
+        }
+      })
+    }
+  }),
+
+  /**
+   * @method checkType
+   * Checks a value against a schema type (see NGN.EventEmitter#define).
+   * @private
+   * @param {Function|String|Object} type The expected type (a constructor, type name, validator or nested schema)
+   * @param {Any} value The value to check
+   * @param {String} path A description of the value's location (used in the message)
+   * @returns {String} A description of the problem, or `null` if the value is valid.
+   */
+  checkType: NGN.privateconst(function (type, value, path) {
+    if (typeof type === 'string') {
+      return NGN.typeof(value) === type.toLowerCase() ? null : path + ' should be a ' + type.toLowerCase() + ' (received ' + NGN.typeof(value) + ').'
+    }
+
+    // Validators, i.e. {validate: (value) => value > 0}
+    if (NGN.typeof(type) === 'object' && NGN.isFn(type.validate)) {
+      return type.validate(value) ? null : path + ' is invalid.'
+    }
+
+    if (NGN.typeof(type) === 'object') {
+      if (NGN.typeof(value) !== 'object') {
+        return path + ' should be an object (received ' + NGN.typeof(value) + ').'
+      }
+
+      for (let attribute in type) {
+        const problem = this.checkType(type[attribute], value[attribute], path + '.' + attribute)
+
+        if (problem !== null) {
+          return problem
+        }
+      }
+
+      return null
+    }
+
+    if (typeof type !== 'function') {
+      return null
+    }
+
+    // Functions without a prototype (i.e. arrow functions) cannot be
+    // constructors, so they are most likely validators missing the
+    // {validate: fn} form.
+    if (!type.prototype) {
+      return path + ' has an invalid schema type (' + (type.name || 'anonymous function') + '). Use a constructor, a type name or a {validate: fn} validator.'
+    }
+
+    // Constructors, such as String, Date or a class
+    return value instanceof type || NGN.typeof(value) === type.name.toLowerCase()
+      ? null
+      : path + ' should be a ' + (type.name || 'constructor') + ' (received ' + NGN.typeof(value) + ').'
+  }),
+
+  /**
+   * @method report
+   * Reports an event validation problem according to #eventValidation.
+   * @private
+   * @param {String} category The validation category (unknown, schema or deprecated)
+   * @param {String} msg The message
+   */
+  report: NGN.privateconst(function (category, msg) {
+    switch (this.eventValidation[category]) {
+      case 'error':
+        throw new Error(msg)
+
+      case 'warn':
+        this.warn(msg)
+    }
   })
 })
 
@@ -83,13 +216,33 @@ let original = {
       prependOnceListener: NGN.EventEmitter.prototype.prependOnceListener,
       off: NGN.EventEmitter.prototype.off,
       onceoff: NGN.EventEmitter.prototype.onceoff,
+      emitAsync: NGN.EventEmitter.prototype.emitAsync,
+      emitSticky: NGN.EventEmitter.prototype.emitSticky,
       getAllEvents: NGN.EventEmitter.prototype.getAllEvents
     }
   }
 }
 
 NGN.EventEmitter.prototype.emit = function () {
-  NGN.SANITY.isValid('EE.emit', arguments) ? original.NGN.EventEmitter.emit.apply(this, arguments) : null // eslint-disable-line no-unused-expressions
+  if (!NGN.SANITY.isValid('EE.emit', arguments)) {
+    return null
+  }
+
+  NGN.SANITY.validateEvent(this, arguments[0], NGN.slice(arguments).slice(1))
+
+  return original.NGN.EventEmitter.emit.apply(this, arguments)
+}
+
+NGN.EventEmitter.prototype.emitAsync = function (eventName) {
+  NGN.SANITY.validateEvent(this, NGN.typeof(eventName) === 'object' ? eventName.event : eventName, NGN.slice(arguments).slice(1))
+
+  return original.NGN.EventEmitter.emitAsync.apply(this, arguments)
+}
+
+NGN.EventEmitter.prototype.emitSticky = function (eventName) {
+  NGN.SANITY.validateEvent(this, eventName, NGN.slice(arguments).slice(1))
+
+  return original.NGN.EventEmitter.emitSticky.apply(this, arguments)
 }
 
 NGN.EventEmitter.prototype.listenerCount = function () {
@@ -97,19 +250,31 @@ NGN.EventEmitter.prototype.listenerCount = function () {
 }
 
 NGN.EventEmitter.prototype.on = function () {
-  NGN.SANITY.isValid('EE.on', arguments) ? original.NGN.EventEmitter.on.apply(this, arguments) : null // eslint-disable-line no-unused-expressions
+  if (!NGN.SANITY.isValid('EE.on', arguments)) {
+    return null
+  }
+
+  NGN.SANITY.validateEvent(this, arguments[0])
+
+  return original.NGN.EventEmitter.on.apply(this, arguments)
 }
 
 NGN.EventEmitter.prototype.prependListener = function () {
-  NGN.SANITY.isValid('EE.prependListener', arguments) ? original.NGN.EventEmitter.prependListener.apply(this, arguments) : null // eslint-disable-line no-unused-expressions
+  return NGN.SANITY.isValid('EE.prependListener', arguments) ? original.NGN.EventEmitter.prependListener.apply(this, arguments) : null
 }
 
 NGN.EventEmitter.prototype.once = function () {
-  NGN.SANITY.isValid('EE.once', arguments) ? original.NGN.EventEmitter.once.apply(this, arguments) : null // eslint-disable-line no-unused-expressions
+  if (!NGN.SANITY.isValid('EE.once', arguments)) {
+    return null
+  }
+
+  NGN.SANITY.validateEvent(this, arguments[0])
+
+  return original.NGN.EventEmitter.once.apply(this, arguments)
 }
 
 NGN.EventEmitter.prototype.prependOnceListener = function () {
-  NGN.SANITY.isValid('EE.prependOnceListener', arguments) ? original.NGN.EventEmitter.prependOnceListener.apply(this, arguments) : null // eslint-disable-line no-unused-expressions
+  return NGN.SANITY.isValid('EE.prependOnceListener', arguments) ? original.NGN.EventEmitter.prependOnceListener.apply(this, arguments) : null
 }
 
 NGN.EventEmitter.prototype.off = function () {
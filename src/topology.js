@@ -0,0 +1,195 @@
+'use strict'
+
+if (!window.NGN || !NGN.EventEmitter) {
+  throw new Error('The event topology is dependent on the presence of NGN.EventEmitter.')
+}
+
+/**
+ * @class EventEmitter
+ * Graph export of the event wiring (see #topology).
+ */
+NGN.inherit(Object.defineProperties({}, {
+  /**
+   * @method topology
+   * Describes how events are wired together, as a graph of event names,
+   * the listeners of each event, and the relationships between events.
+   *
+   * ```
+   * console.log(NGN.BUS.topology().toMermaid())
+   * ```
+   * The graph contains the following attributes:
+   *
+   * - `events` (array): The event names, including events which are
+   * only triggered (not handled).
+   * - `listeners` (array): An object for each listener, containing the
+   * `event` name, the name of the `handler` function (`null` for
+   * anonymous functions), whether it is a one-time (`once`) listener,
+   * its `priority`, the registration `site` (only available in #debug
+   * mode), and the events it `emits`.
+   * - `relationships` (array): Forwarded events (see #forward), funnels
+   * and thresholds, as objects containing the `type` (`forward`, `funnel`
+   * or `threshold`), the source event (`from`), the resulting event (`to`)
+   * and the threshold `limit`.
+   *
+   * Events triggered by any other handler appear in the `emits` of the
+   * listener. These are recorded when the handler triggers the event, so
+   * they are only included once the source event has occurred.
+   *
+   * The graph can be rendered with `toDOT()` (Graphviz) or
+   * `toMermaid()`. Both return a string.
+   * @return {object}
+   */
+  topology: NGN.const(function () {
+    let graph = {
+      events: [],
+      listeners: [],
+      relationships: []
+    }
+
+    const addEvent = (eventName) => {
+      if (graph.events.indexOf(eventName) < 0) {
+        graph.events.push(eventName)
+      }
+    }
+
+    ;['handlers', 'adhoc'].forEach((type) => {
+      for (let eventName in this[type]) {
+        addEvent(eventName)
+
+        this[type][eventName].forEach((listener) => {
+          graph.listeners.push({
+            event: eventName,
+            handler: listener.handler.name || null,
+            once: type === 'adhoc',
+            priority: listener.priority,
+            site: listener.site,
+            emits: listener.emits.slice()
+          })
+
+          listener.emits.forEach(addEvent)
+        })
+      }
+    })
+
+    this.forwards.forEach((relationship) => {
+      if (this.listenerCount(relationship.from) > 0) {
+        relationship.to.forEach((eventName) => {
+          addEvent(relationship.from)
+          addEvent(eventName)
+
+          graph.relationships.push({
+            type: 'forward',
+            from: relationship.from,
+            to: eventName,
+            limit: null
+          })
+        })
+      }
+    })
+
+    // Funnels and thresholds are tracked by the shared event emitter
+    // extensions. They are only included when their trigger listeners
+    // belong to this emitter.
+    const funnels = this.collectionQueue || {}
+
+    Object.keys(funnels).forEach((id) => {
+      let funnel = funnels[id]
+
+      if (typeof funnel.eventName === 'string' && funnel.masterqueue.every((eventName) => this.listenerCount(eventName) > 0)) {
+        funnel.masterqueue.forEach((eventName) => {
+          addEvent(eventName)
+          addEvent(funnel.eventName)
+
+          graph.relationships.push({
+            type: 'funnel',
+            from: eventName,
+            to: funnel.eventName,
+            limit: null
+          })
+        })
+      }
+    })
+
+    const thresholds = this.thresholdQueue || {}
+
+    Object.keys(thresholds).forEach((id) => {
+      let threshold = thresholds[id]
+
+      if (typeof threshold.finalEventName === 'string' && this.listenerCount(threshold.eventName) > 0) {
+        addEvent(threshold.eventName)
+        addEvent(threshold.finalEventName)
+
+        graph.relationships.push({
+          type: 'threshold',
+          from: threshold.eventName,
+          to: threshold.finalEventName,
+          limit: threshold.limit
+        })
+      }
+    })
+
+    return Object.defineProperties(graph, {
+      toDOT: NGN.const(() => this.renderTopology(graph, 'dot')),
+      toMermaid: NGN.const(() => this.renderTopology(graph, 'mermaid'))
+    })
+  }),
+
+  /**
+   * @method renderTopology
+   * Renders a #topology graph as text.
+   * @param {object} graph
+   * The graph.
+   * @param {string} format
+   * `dot` (Graphviz) or `mermaid`.
+   * @return {string}
+   * @private
+   */
+  renderTopology: NGN.privateconst(function (graph, format) {
+    const dot = format === 'dot'
+    const label = (text) => dot
+      ? '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"'
+      : '"' + text.replace(/"/g, '#quot;').replace(/\n/g, '<br/>') + '"'
+    const eventId = (eventName) => 'event' + graph.events.indexOf(eventName)
+
+    let lines = dot ? ['digraph events {', '  rankdir=LR;'] : ['graph LR']
+
+    graph.events.forEach((eventName) => {
+      lines.push(dot
+        ? '  ' + eventId(eventName) + ' [label=' + label(eventName) + ', shape=box];'
+        : '  ' + eventId(eventName) + '[' + label(eventName) + ']')
+    })
+
+    graph.listeners.forEach((listener, index) => {
+      let id = 'listener' + index
+      let text = (listener.handler || 'anonymous') + (listener.once ? ' (once)' : '') + (listener.site ? '\n' + listener.site : '')
+
+      lines.push(dot
+        ? '  ' + id + ' [label=' + label(text) + ', shape=ellipse];'
+        : '  ' + id + '([' + label(text) + '])')
+
+      lines.push(dot
+        ? '  ' + eventId(listener.event) + ' -> ' + id + ';'
+        : '  ' + eventId(listener.event) + ' --> ' + id)
+
+      listener.emits.forEach((eventName) => {
+        lines.push(dot
+          ? '  ' + id + ' -> ' + eventId(eventName) + ' [style=dashed];'
+          : '  ' + id + ' -.-> ' + eventId(eventName))
+      })
+    })
+
+    graph.relationships.forEach((relationship) => {
+      let text = relationship.type + (relationship.limit !== null ? ' (' + relationship.limit + ')' : '')
+
+      lines.push(dot
+        ? '  ' + eventId(relationship.from) + ' -> ' + eventId(relationship.to) + ' [label=' + label(text) + '];'
+        : '  ' + eventId(relationship.from) + ' -->|' + text + '| ' + eventId(relationship.to))
+    })
+
+    if (dot) {
+      lines.push('}')
+    }
+
+    return lines.join('\n')
+  })
+}), NGN.EventEmitter)
@@ -0,0 +1,217 @@
+'use strict'
+
+/* global self, EventPattern */
+
+/**
+ * @layer WORKER
+ * A minimal NGN.BUS for Web Workers. It exchanges events with the main
+ * thread once the worker is connected with NGN.EventEmitter#connectWorker.
+ * The worker build (`worker.min.js`) is standalone. It includes
+ * EventPattern (pattern.js), but does not require NGN. It must only be
+ * loaded within a worker.
+ *
+ * ```
+ * importScripts('worker.min.js')
+ *
+ * NGN.BUS.on('search.index', function (records) {
+ *   console.log(this.origin) // "main" or "local"
+ *   NGN.BUS.emit('search.indexed', buildIndex(records))
+ * })
+ * ```
+ * The worker BUS supports exact, wildcard (i.e. `csv.*`, see
+ * EventPattern#compile) and regular expression event names.
+ * Events triggered within the worker are sent to the main thread, which
+ * only accepts the events it subscribed to.
+ */
+class WorkerEventEmitter {
+  constructor () {
+    Object.defineProperties(this, {
+      listeners: {
+        enumerable: false,
+        writable: true,
+        value: []
+      },
+
+      ports: {
+        enumerable: false,
+        writable: true,
+        value: []
+      },
+
+      /**
+       * @property {function} transfer
+       * Identifies the transferable objects (i.e. `ArrayBuffer`) within
+       * the payload of an event sent to the main thread. It receives the
+       * event name and an array of the event arguments, and returns an
+       * array of the transferable objects.
+       */
+      transfer: {
+        enumerable: true,
+        writable: true,
+        value: null
+      }
+    })
+
+    self.addEventListener('message', (event) => {
+      if (event.data && event.data.ngn === 'connect' && event.ports.length > 0) {
+        this.connect(event.ports[0])
+      }
+    })
+  }
+
+  /**
+   * @method connect
+   * Receive events from the main thread.
+   * @param {MessagePort} port
+   * The port provided by NGN.EventEmitter#connectWorker.
+   * @private
+   */
+  connect (port) {
+    this.ports.push(port)
+
+    port.onmessage = (event) => {
+      let message = event.data
+
+      if (!message) {
+        return
+      }
+
+      if (message.ngn === 'event' && typeof message.event === 'string' && Array.isArray(message.payload)) {
+        this.dispatch(message.event, message.payload, 'main')
+      } else if (message.ngn === 'disconnect') {
+        this.ports = this.ports.filter((item) => item !== port)
+        port.close()
+      }
+    }
+  }
+
+  /**
+   * @method on
+   * Create an event handler.
+   * @param {string|RegExp} eventName
+   * The name of the event to listen for.
+   * @param {function} handler
+   * The method responsible for responding to the event. The handler
+   * scope contains the `event` name and the `origin` of the event
+   * (`main` or `local`).
+   * @return {object}
+   * A subscription handle with an `unsubscribe()` method.
+   */
+  on (eventName, handler) {
+    return this.addListener(eventName, handler, false)
+  }
+
+  /**
+   * @method once
+   * Create an event handler which is removed after it is executed.
+   * @param {string|RegExp} eventName
+   * @param {function} handler
+   * @return {object}
+   * A subscription handle with an `unsubscribe()` method.
+   */
+  once (eventName, handler) {
+    return this.addListener(eventName, handler, true)
+  }
+
+  /**
+   * @method off
+   * Remove an event handler. If no handler is specified, all handlers
+   * for the event are removed.
+   * @param {string|RegExp} eventName
+   * @param {function} [handler]
+   */
+  off (eventName, handler) {
+    const key = eventName.toString()
+
+    this.listeners = this.listeners.filter((listener) => {
+      return listener.event.toString() !== key || (handler !== undefined && listener.handler !== handler)
+    })
+  }
+
+  /**
+   * @method emit
+   * Trigger an event within the worker and send it to the main thread.
+   * @param {string} eventName
+   * The name of the event.
+   */
+  emit (eventName) {
+    let args = Array.prototype.slice.call(arguments, 1)
+
+    this.dispatch(eventName, args, 'local')
+
+    this.ports.forEach((port) => {
+      port.postMessage({
+        ngn: 'event',
+        event: eventName,
+        payload: args
+      }, typeof this.transfer === 'function' ? this.transfer(eventName, args) || [] : [])
+    })
+  }
+
+  /**
+   * @method addListener
+   * @param {string|RegExp} eventName
+   * @param {function} handler
+   * @param {boolean} once
+   * @return {object}
+   * @private
+   */
+  addListener (eventName, handler, once) {
+    let listener = {
+      event: eventName,
+      pattern: this.getPattern(eventName),
+      handler: handler,
+      once: once
+    }
+
+    this.listeners.push(listener)
+
+    return {
+      unsubscribe: () => {
+        this.listeners = this.listeners.filter((item) => item !== listener)
+      }
+    }
+  }
+
+  /**
+   * @method getPattern
+   * Converts wildcard and regular expression event names into a
+   * (stateless) regular expression, matching the same events as the
+   * NGN.EventEmitter in the main thread (see EventPattern#from).
+   * @param {string|RegExp} eventName
+   * @return {RegExp}
+   * `null` for exact event names.
+   * @private
+   */
+  getPattern (eventName) {
+    return EventPattern.from(eventName)
+  }
+
+  /**
+   * @method dispatch
+   * Execute the handlers of an event.
+   * @param {string} eventName
+   * @param {array} args
+   * @param {string} origin
+   * @private
+   */
+  dispatch (eventName, args, origin) {
+    const scope = {
+      event: eventName,
+      origin: origin
+    }
+
+    this.listeners.filter((listener) => {
+      return listener.pattern !== null ? listener.pattern.test(eventName) : listener.event === eventName
+    }).forEach((listener) => {
+      if (listener.once) {
+        this.listeners = this.listeners.filter((item) => item !== listener)
+      }
+
+      listener.handler.apply(scope, args)
+    })
+  }
+}
+
+self.NGN = self.NGN || {}
+self.NGN.BUS = new WorkerEventEmitter()
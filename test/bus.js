@@ -261,3 +261,1625 @@ test('NGN.BUS.pool Namespacing', {
 
   NGN.BUS.emit('demo.test.space', 7)
 })
+
+test('NGN.EventEmitter.waitFor', {
+  timeout: 2000
+}, function (t) {
+  var EE = new NGN.EventEmitter()
+  var added = 0
+
+  EE.on('newListener', function (eventName) {
+    if (eventName === 'wait.*') {
+      added++
+    }
+  })
+
+  EE.waitFor('wait.*', {
+    filter: function (payload) {
+      return payload === 2
+    }
+  }).then(function (payload) {
+    t.ok(payload === 2, 'waitFor resolves with the payload of the first matching wildcard event.')
+    t.ok(EE.listenerCount('wait.*') === 0, 'waitFor removes the handler after resolving.')
+    t.ok(added === 1, 'waitFor uses a single handler while events are filtered.')
+
+    return EE.waitFor('never', {
+      timeout: 100
+    })
+  }).then(function () {
+    t.fail('waitFor resolved an event that never fired.')
+  }).catch(function (err) {
+    t.ok(err instanceof Error, 'waitFor rejects when the timeout is reached.')
+    t.ok(EE.listenerCount('never') === 0, 'waitFor removes the handler when the timeout is reached.')
+
+    var broken = EE.waitFor('broken', {
+      filter: function () {
+        throw new Error('Filter failure')
+      }
+    })
+
+    EE.emit('broken')
+
+    return broken.then(function () {
+      t.fail('waitFor resolved when the filter threw an error.')
+    }, function (err) {
+      t.ok(err.message === 'Filter failure', 'waitFor rejects when the filter throws an error.')
+      t.ok(EE.listenerCount('broken') === 0, 'waitFor removes the handler when the filter throws an error.')
+    })
+  }).then(function () {
+    t.end()
+  })
+
+  EE.emit('wait.one', 1)
+  EE.emit('wait.two', 2)
+})
+
+test('NGN.EventEmitter.emitAsync', {
+  timeout: 2000
+}, function (t) {
+  var EE = new NGN.EventEmitter()
+  var sequence = []
+
+  EE.on('save', function (value) {
+    return new Promise(function (resolve) {
+      setTimeout(function () {
+        sequence.push('slow')
+        resolve(value + 1)
+      }, 100)
+    })
+  })
+
+  EE.on('save', function (value) {
+    sequence.push('fast')
+    return value + 2
+  })
+
+  EE.emitAsync('save', 1).then(function (results) {
+    t.ok(results.length === 2 && results[0] === 2 && results[1] === 3, 'emitAsync resolves with the results of all handlers.')
+    t.ok(sequence.join() === 'fast,slow', 'emitAsync runs handlers in parallel by default.')
+
+    sequence = []
+
+    return EE.emitAsync({
+      event: 'save',
+      mode: 'serial',
+      reducer: function (total, value) {
+        return total + value
+      },
+      initial: 0
+    }, 1)
+  }).then(function (total) {
+    t.ok(sequence.join() === 'slow,fast', 'emitAsync runs handlers serially when configured.')
+    t.ok(total === 5, 'emitAsync combines results with a reducer.')
+
+    EE.once('fail', function () {
+      throw new Error('Handler failure')
+    })
+
+    return EE.emitAsync('fail')
+  }).then(function () {
+    t.fail('emitAsync resolved when a handler threw an error.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(err.message === 'Handler failure', 'emitAsync rejects when a handler fails.')
+    t.end()
+  })
+})
+
+test('NGN.EventEmitter Handler Priority', function (t) {
+  var EE = new NGN.EventEmitter()
+  var sequence = []
+
+  EE.once('priority', function () { sequence.push('once1') })
+  EE.on('priority', function () { sequence.push('on1') })
+  EE.once('priority', function () { sequence.push('once2') })
+  EE.on('priority', function () { sequence.push('high') }, { priority: 10 })
+  EE.on('priority', function () { sequence.push('low') }, { priority: -10 })
+  EE.prependListener('priority', function () { sequence.push('prepend') })
+  EE.on('priority', function () { sequence.push('high2') }, { priority: 10 })
+
+  EE.emit('priority')
+
+  t.ok(sequence.join() === 'high,high2,prepend,once1,on1,once2,low', 'Handlers execute in priority and registration order.')
+
+  sequence = []
+  EE.emit('priority')
+
+  t.ok(sequence.join() === 'high,high2,prepend,on1,low', 'One-time handlers are removed after execution.')
+
+  t.throws(function () {
+    EE.on('priority', function () {}, { priority: 'high' })
+  }, 'Non-numeric priorities throw an error.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Subscriptions', function (t) {
+  var EE = new NGN.EventEmitter()
+  var count = 0
+  var onceCount = 0
+
+  var subscription = EE.subscribe('sub', function () {
+    count++
+  })
+
+  var onceSubscription = EE.subscribeOnce('sub', function () {
+    onceCount++
+  })
+
+  t.ok(subscription.active && onceSubscription.active, 'Subscriptions are active when created.')
+
+  subscription.pause()
+  onceSubscription.pause()
+  EE.publish('sub')
+
+  t.ok(count === 0 && onceCount === 0, 'Paused subscriptions are ignored.')
+  t.ok(!subscription.active, 'Paused subscriptions are inactive.')
+
+  subscription.resume()
+  onceSubscription.resume()
+  EE.publish('sub')
+  EE.publish('sub')
+
+  t.ok(count === 2, 'Resumed subscriptions respond to events.')
+  t.ok(onceCount === 1, 'Paused one-time subscriptions are not consumed.')
+  t.ok(!onceSubscription.active, 'One-time subscriptions are inactive after execution.')
+
+  subscription.unsubscribe()
+  EE.publish('sub')
+
+  t.ok(count === 2 && !subscription.active, 'Unsubscribed handlers are removed.')
+  t.ok(EE.listenerCount('sub') === 0, 'No listeners remain after unsubscribing.')
+  t.end()
+})
+
+test('NGN.EventEmitter Handler Removal', function (t) {
+  var EE = new NGN.EventEmitter()
+  var owner = {}
+  var calls = []
+
+  var factory = function (id) {
+    return function () {
+      calls.push(id)
+    }
+  }
+
+  var a = factory('a')
+  var b = factory('b')
+
+  EE.on('remove', a)
+  EE.on('remove', b)
+  EE.off('remove', a)
+  EE.emit('remove')
+
+  t.ok(calls.join() === 'b', 'off() only removes the exact handler (by reference).')
+
+  calls = []
+  EE.on('owned.one', factory('owned1'), { owner: owner })
+  EE.once('owned.two', factory('owned2'), { owner: owner })
+  EE.on('owned.one', factory('unowned'))
+  EE.offAll(owner)
+  EE.emit('owned.one')
+  EE.emit('owned.two')
+
+  t.ok(calls.join() === 'unowned', 'offAll() removes all handlers belonging to an owner.')
+  t.ok(EE.listenerCount('owned.two') === 0, 'offAll() removes one-time handlers belonging to an owner.')
+
+  var funnel = EE.funnel(['funnel.a', 'funnel.b'], 'funnel.done')
+  var other = EE.funnel(['funnel.a'], 'funnel.other')
+  var threshold = EE.threshold('threshold.a', 2, 'threshold.done')
+
+  funnel.remove()
+
+  t.ok(EE.listenerCount('funnel.a') === 1 && EE.listenerCount('funnel.b') === 0, 'Removing a funnel removes its trigger handlers (only).')
+
+  other.remove()
+  threshold.remove()
+
+  t.ok(EE.listenerCount('funnel.a') === 0, 'Removing the remaining funnel removes its trigger handler.')
+  t.ok(EE.listenerCount('threshold.a') === 0, 'Removing a threshold removes its trigger handler.')
+
+  var detached = EE.threshold('threshold.b', 2, 'threshold.done')
+
+  EE.off('threshold.b')
+  t.ok(Object.keys(EE.sharedtriggers).length === 0, 'Trigger handlers removed with off() are not retained.')
+
+  detached.remove()
+
+  EE.funnelOnce(['once.a', 'once.b'], 'once.done')
+  EE.thresholdOnce('once.c', 1, 'once.final')
+  EE.emit('once.a')
+  EE.emit('once.b')
+  EE.emit('once.c')
+
+  setTimeout(function () {
+    t.ok(EE.listenerCount('once.a') + EE.listenerCount('once.b') + EE.listenerCount('once.c') === 0, 'funnelOnce() and thresholdOnce() remove their trigger handlers after the final event.')
+    t.end()
+  }, 10)
+})
+
+test('NGN.EventEmitter Wildcards', function (t) {
+  var EE = new NGN.EventEmitter()
+  var heard = {}
+
+  ;['user.*', 'user.**', '**.failed', 'a.*.*', 'user.log*', '*'].forEach(function (pattern) {
+    heard[pattern] = []
+    EE.on(pattern, function () {
+      heard[pattern].push(this.event)
+    })
+  })
+
+  // Ignore the newListener events triggered while registering the handlers.
+  Object.keys(heard).forEach(function (pattern) {
+    heard[pattern] = []
+  })
+
+  ;['user', 'user.login', 'userXlogin', 'user.login.failed', 'failed', 'a.b.c', 'a.b', 'user.logout'].forEach(function (eventName) {
+    EE.emit(eventName)
+  })
+
+  t.ok(heard['user.*'].join() === 'user.login,user.logout', '* matches exactly one segment.')
+  t.ok(heard['user.**'].join() === 'user,user.login,user.login.failed,user.logout', '** matches any number of segments.')
+  t.ok(heard['**.failed'].join() === 'user.login.failed,failed', 'Leading ** matches any number of segments.')
+  t.ok(heard['a.*.*'].join() === 'a.b.c', 'Multiple * wildcards are supported.')
+  t.ok(heard['user.log*'].join() === 'user.login,user.logout', '* matches characters within a segment.')
+  t.ok(heard['*'].join() === 'user,userXlogin,failed', 'A lone * matches single-segment event names.')
+
+  EE.off('user.*')
+  t.ok(EE.getAllEvents('user.login').indexOf('user.*') < 0, 'Removed wildcard events no longer match.')
+
+  var untyped = new NGN.EventEmitter()
+  var received = []
+
+  t.doesNotThrow(function () {
+    untyped.on(123, function () {
+      received.push('number')
+    })
+    untyped.on(undefined, function () {
+      received.push('undefined')
+    })
+    untyped.define(456)
+  }, 'Non-string event names are not parsed as wildcards.')
+
+  untyped.emit(123)
+  t.ok(received.join() === 'number', 'Non-string event names are supported.')
+  t.end()
+})
+
+test('NGN.EventEmitter Dispatch Benchmark', function (t) {
+  var EE = new NGN.EventEmitter({
+    defaultMaxListeners: 1000
+  })
+  var heard = 0
+  var handler = function () {
+    heard++
+  }
+
+  for (var i = 0; i < 500; i++) {
+    EE.on('bench.event' + i, handler)
+  }
+
+  for (var p = 0; p < 50; p++) {
+    EE.on('bench.pattern' + p + '.*', handler)
+  }
+
+  EE.on('bench.**', handler)
+
+  var iterations = 10000
+  var start = Date.now()
+
+  for (var n = 0; n < iterations; n++) {
+    EE.emit('bench.event' + (n % 500))
+  }
+
+  var duration = Date.now() - start
+
+  t.comment(iterations + ' emits across 550 event names: ' + duration + 'ms (' + Math.round(iterations / Math.max(duration, 1) * 1000) + ' emits/sec)')
+  t.ok(heard === iterations * 2, 'All exact and wildcard handlers were triggered.')
+  t.ok(EE.getAllEvents('bench.event1').join() === 'bench.event1,bench.**', 'Exact and wildcard event names are resolved.')
+
+  EE.on('bench.event*', handler)
+  t.ok(EE.getAllEvents('bench.event1').join() === 'bench.event1,bench.**,bench.event*', 'Wildcard matches are updated when a wildcard handler is added.')
+
+  EE.off('bench.**')
+  t.ok(EE.getAllEvents('bench.event1').join() === 'bench.event1,bench.event*', 'Wildcard matches are updated when a wildcard handler is removed.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Error Isolation', function (t) {
+  var EE = new NGN.EventEmitter({
+    isolateErrors: true
+  })
+  var heard = []
+
+  EE.on('isolated', function () {
+    throw new Error('First handler failure')
+  })
+
+  EE.once('isolated', function (payload) {
+    heard.push(payload)
+  })
+
+  EE.on('isolated', function (payload) {
+    heard.push(payload)
+  })
+
+  t.throws(function () {
+    EE.emit('isolated', 1)
+  }, /First handler failure/, 'Unhandled errors are thrown when no error handler exists.')
+  t.ok(heard.join() === '1,1', 'Remaining handlers execute before an unhandled error is thrown.')
+
+  EE.on('error', function (err, detail) {
+    t.ok(err.message === 'First handler failure', 'The error is emitted as an error event.')
+    t.ok(detail.event === 'isolated', 'The error event identifies the original event.')
+    t.ok(typeof detail.handler === 'function', 'The error event identifies the failing handler.')
+    t.ok(detail.payload[0] === 2, 'The error event provides the original payload.')
+  })
+
+  t.doesNotThrow(function () {
+    EE.emit('isolated', 2)
+  }, 'Handled errors are not thrown.')
+  t.ok(heard.join() === '1,1,2', 'Remaining handlers execute when an error is handled.')
+
+  t.ok(NGN.BUS.isolateErrors, 'NGN.BUS isolates errors by default.')
+
+  var failure = new Error('Unhandled failure')
+
+  t.throws(function () {
+    new NGN.EventEmitter({ isolateErrors: true }).emit('error', failure)
+  }, /Unhandled failure/, 'Error events without handlers throw the error (with error isolation).')
+  t.throws(function () {
+    new NGN.EventEmitter().emit('error', failure)
+  }, /Unhandled failure/, 'Error events without handlers throw the error (without error isolation).')
+  t.throws(function () {
+    new NGN.EventEmitter().emit('error', 'failure')
+  }, /Unhandled error event \(failure\)/, 'Error events without handlers throw an error when the payload is not an error.')
+
+  var parent = new NGN.EventEmitter()
+  var child = parent.createChild({ trickle: true })
+  var handled = 0
+
+  child.on('error', function () {
+    handled++
+  })
+
+  t.doesNotThrow(function () {
+    child.emit('error', failure)
+  }, 'Errors handled by a child emitter are not thrown by the parent.')
+
+  child.off('error')
+  parent.on('error', function () {
+    handled++
+  })
+
+  t.doesNotThrow(function () {
+    parent.emit('error', failure)
+  }, 'Errors handled by a parent emitter are not thrown by a trickle-down child.')
+  t.ok(handled === 2, 'Propagated errors are delivered to the handlers.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Sticky Events', function (t) {
+  var EE = new NGN.EventEmitter()
+  var heard = []
+
+  EE.emitSticky('app.ready', 1)
+  EE.emitSticky('user.loaded', { name: 'first' })
+  EE.emitSticky('user.loaded', { name: 'latest' })
+
+  EE.on('app.ready', function (payload) {
+    t.ok(this.sticky === true, 'Replayed events are flagged as sticky.')
+    heard.push(payload)
+  })
+
+  t.ok(heard.join() === '1', 'Late handlers receive the last payload of a sticky event.')
+
+  EE.on('user.*', function (user) {
+    heard.push(this.event + ':' + user.name)
+  })
+
+  t.ok(heard.join() === '1,user.loaded:latest', 'Wildcard handlers receive matching sticky events.')
+
+  var subscription = EE.once('app.ready', function (payload) {
+    heard.push('once' + payload)
+  })
+
+  t.ok(heard.join() === '1,user.loaded:latest,once1', 'One-time handlers receive sticky events.')
+  t.ok(!subscription.active, 'One-time handlers are removed after receiving a sticky event.')
+
+  EE.on('app.ready', function () {
+    t.fail('Handlers opting out of sticky events should not receive them.')
+  }, { sticky: false })
+
+  EE.clearSticky('app.ready')
+  EE.on('app.ready', function () {
+    t.fail('Cleared sticky events should not be replayed.')
+  })
+
+  EE.waitFor('user.loaded').then(function (user) {
+    t.ok(user.name === 'latest', 'waitFor resolves immediately with a sticky payload.')
+    EE.clearSticky()
+    t.ok(EE.listenerCount('user.loaded') === 0, 'waitFor does not leave a handler behind for sticky events.')
+    t.end()
+  })
+})
+
+test('NGN.EventEmitter Middleware', function (t) {
+  var EE = new NGN.EventEmitter()
+  var log = []
+
+  EE.on('redacted', function (payload) {
+    t.ok(this.event === 'redacted', 'Middleware can rename an event.')
+    t.ok(payload.user === 'me' && payload.password === undefined, 'Middleware can rewrite the payload.')
+  })
+
+  EE.on('blocked', function () {
+    t.fail('Middleware should be able to cancel an event.')
+  })
+
+  var logger = EE.use(function (eventName, args, next) {
+    log.push(eventName)
+    next()
+  })
+
+  EE.use(function (eventName, args, next) {
+    if (eventName === 'secret') {
+      return next('redacted', [{ user: args[0].user }])
+    }
+
+    if (eventName !== 'blocked') {
+      next()
+    }
+  })
+
+  EE.emit('secret', { user: 'me', password: 'secret' })
+  EE.emit('blocked')
+
+  t.ok(log.join() === 'secret,blocked', 'Middleware is applied to every event.')
+
+  logger.remove()
+  EE.emit('other')
+  t.ok(log.length === 2, 'Middleware can be removed.')
+
+  t.throws(function () {
+    EE.use('invalid')
+  }, 'Non-function middleware throws an error.')
+
+  var redacting = new NGN.EventEmitter()
+  var replayed = []
+
+  redacting.use(function (eventName, args, next) {
+    if (eventName === 'blocked') {
+      return
+    }
+
+    next(eventName, eventName === 'user.login' ? [{ user: args[0].user }] : args)
+  })
+
+  redacting.on('user.login', function (user) {
+    return Object.keys(user).join()
+  })
+
+  redacting.on('prevented', function () {
+    this.preventDefault()
+  })
+
+  redacting.emitSticky('user.login', { user: 'me', password: 'secret' })
+  redacting.emitSticky('blocked', 1)
+  redacting.emitSticky('prevented', 1)
+
+  ;['user.login', 'blocked', 'prevented'].forEach(function (eventName) {
+    redacting.once(eventName, function (payload) {
+      replayed.push(this.event)
+
+      if (this.event === 'user.login') {
+        t.ok(payload.user === 'me' && payload.password === undefined, 'Sticky events retain the payload after middleware is applied.')
+      }
+    })
+  })
+
+  t.ok(replayed.join() === 'user.login', 'Cancelled events are not retained as sticky events.')
+
+  redacting.emitAsync('user.login', { user: 'me', password: 'secret' }).then(function (results) {
+    t.ok(results[0] === 'user', 'emitAsync applies middleware.')
+
+    return redacting.emitAsync('blocked')
+  }).then(function (results) {
+    t.ok(Array.isArray(results) && results.length === 0, 'emitAsync resolves with an empty array when middleware cancels the event.')
+
+    var delayed = new NGN.EventEmitter()
+    var delivered = []
+
+    delayed.use(function (eventName, args, next) {
+      if (eventName === 'promised') {
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            next()
+            resolve()
+          }, 0)
+        })
+      }
+
+      setTimeout(function () {
+        next()
+      }, 0)
+    })
+
+    var deliver = function () {
+      delivered.push(this.event)
+      return this.event
+    }
+
+    delayed.on('timer', deliver)
+    delayed.on('promised', deliver)
+
+    delayed.emit('timer')
+
+    return Promise.all([
+      delayed.emitAsync('timer'),
+      delayed.emitAsync('promised'),
+      new Promise(function (resolve) {
+        setTimeout(resolve, 10)
+      })
+    ]).then(function (results) {
+      t.ok(results[0].length === 0, 'emitAsync considers the event cancelled when asynchronous middleware does not return a Promise.')
+      t.ok(results[1].join() === 'promised', 'emitAsync waits for asynchronous middleware which returns a Promise.')
+      t.ok(delivered.join() === 'timer,promised', 'emit dispatches the event when asynchronous middleware calls next.')
+    })
+  }).then(function () {
+    t.end()
+  })
+})
+
+test('NGN.EventEmitter Cancelable Events', function (t) {
+  var EE = new NGN.EventEmitter()
+  var heard = []
+
+  EE.on('form.submit', function () {
+    heard.push('first')
+    t.ok(typeof this.preventDefault === 'function', 'Handlers can prevent the default.')
+    this.preventDefault()
+  })
+
+  EE.on('form.submit', function () {
+    t.ok(this.defaultPrevented, 'Handlers can identify cancelled events.')
+    heard.push('second')
+  })
+
+  var result = EE.emit('form.submit')
+
+  t.ok(result.cancelled && result.defaultPrevented, 'emit() reports the event was cancelled.')
+  t.ok(heard.join() === 'first,second', 'Preventing the default does not stop propagation.')
+  t.ok(!EE.emit('other').cancelled, 'emit() reports uncancelled events.')
+
+  heard = []
+
+  EE.on('route.leave', function () {
+    heard.push('guard')
+    this.stopPropagation()
+  }, { priority: 1 })
+
+  EE.once('route.leave', function () {
+    heard.push('once')
+  })
+
+  result = EE.emit('route.leave')
+
+  t.ok(result.propagationStopped && !result.cancelled, 'emit() reports propagation was stopped.')
+  t.ok(heard.join() === 'guard', 'Stopping propagation prevents remaining handlers from executing.')
+  t.ok(EE.listenerCount('route.leave') === 2, 'One-time handlers which were not executed remain registered.')
+
+  EE.use(function (eventName, args, next) {})
+  t.ok(EE.emit('blocked').cancelled, 'Events cancelled by middleware are reported as cancelled.')
+  t.end()
+})
+
+test('NGN.EventEmitter Event Catalog', function (t) {
+  var EE = new NGN.EventEmitter()
+
+  EE.define('user.login', {
+    description: 'Triggered when a user signs in.',
+    schema: {
+      username: String,
+      roles: Array,
+      created: {
+        validate: function (value) {
+          return value === undefined || value > 0
+        }
+      }
+    }
+  })
+
+  EE.define('user.signin', {
+    deprecated: 'Use user.login instead.'
+  })
+
+  var catalog = EE.catalog()
+
+  t.ok(catalog.length === 2, 'catalog() returns all defined events.')
+  t.ok(catalog[0].name === 'user.login' && catalog[0].description === 'Triggered when a user signs in.', 'catalog() provides event descriptions.')
+  t.ok(catalog[1].deprecated === 'Use user.login instead.', 'catalog() identifies deprecated events.')
+
+  // Validation only occurs in development builds (SANITY layer).
+  if (!NGN.SANITY) {
+    return t.end()
+  }
+
+  var level = NGN.SANITY.eventValidation.schema
+  NGN.SANITY.eventValidation.schema = 'error'
+
+  t.doesNotThrow(function () {
+    EE.emit('user.login', { username: 'me', roles: [] })
+  }, 'Valid payloads pass schema validation.')
+
+  t.throws(function () {
+    EE.emit('user.login', { username: 1, roles: [] })
+  }, /username should be a String/, 'Invalid payloads fail schema validation.')
+
+  t.throws(function () {
+    EE.emit('user.login', { username: 'me', roles: [], created: -1 })
+  }, /created is invalid/, 'Validators are applied to the payload.')
+
+  function account () {}
+
+  EE.define('account.open', { schema: account })
+
+  t.throws(function () {
+    EE.emit('account.open', {})
+  }, /should be a account/, 'Lowercase constructors are treated as constructors.')
+
+  EE.define('account.close', { schema: { id: Number.isInteger } })
+
+  t.throws(function () {
+    EE.emit('account.close', { id: 1 })
+  }, /id has an invalid schema type \(isInteger\)/, 'Functions which are not constructors are reported as invalid schema types.')
+
+  var unknown = NGN.SANITY.eventValidation.unknown
+  NGN.SANITY.eventValidation.unknown = 'error'
+
+  t.doesNotThrow(function () {
+    EE.on('slowhandler', function () {})
+    EE.emit('slowhandler', {})
+    EE.emit('newListener', 'user.login')
+  }, 'Lifecycle events are not reported as unknown events.')
+
+  NGN.SANITY.eventValidation.unknown = unknown
+  NGN.SANITY.eventValidation.schema = level
+  t.end()
+})
+
+test('NGN.EventEmitter Listener Options', function (t) {
+  var EE = new NGN.EventEmitter()
+  var context = { name: 'ctx' }
+  var count = 0
+
+  EE.on('context', function () {
+    t.ok(this === context, 'Handler executes within the specified context.')
+  }, { context: context })
+
+  EE.emit('context')
+
+  EE.on('limited', function () {
+    count++
+  }, { times: 2 })
+
+  EE.emit('limited')
+  EE.emit('limited')
+  EE.emit('limited')
+  t.ok(count === 2, 'Handler is removed after the specified number of executions.')
+  t.ok(EE.listenerCount('limited') === 0, 'Exhausted handler is no longer registered.')
+
+  t.throws(function () {
+    EE.on('invalid', function () {}, { debounce: 10, throttle: 10 })
+  }, 'Debounce and throttle cannot be combined.')
+
+  if (typeof AbortController !== 'undefined') {
+    var controller = new AbortController()
+    var aborted = 0
+
+    EE.on('abortable', function () {
+      aborted++
+    }, { signal: controller.signal })
+
+    EE.emit('abortable')
+    controller.abort()
+    EE.emit('abortable')
+    t.ok(aborted === 1, 'Aborting the signal removes the handler.')
+
+    var sub = EE.on('abortable', function () {}, { signal: controller.signal })
+    t.ok(!sub.active && EE.listenerCount('abortable') === 0, 'Handler is not added when the signal is already aborted.')
+  }
+
+  var abortHandlers = []
+  var signal = {
+    aborted: false,
+    addEventListener: function (eventName, fn) {
+      abortHandlers.push(fn)
+    },
+    removeEventListener: function (eventName, fn) {
+      abortHandlers = abortHandlers.filter(function (handler) {
+        return handler !== fn
+      })
+    }
+  }
+
+  EE.on('signalled', function () {}, { signal: signal }).unsubscribe()
+  EE.once('signalled', function () {}, { signal: signal })
+  EE.emit('signalled')
+  t.ok(abortHandlers.length === 0, 'The abort handler is removed from the signal when the handler is removed.')
+
+  var throttled = 0
+  EE.on('throttled', function () {
+    throttled++
+  }, { throttle: 1000 })
+
+  EE.emit('throttled')
+  EE.emit('throttled')
+  t.ok(throttled === 1, 'Throttled handler ignores events within the interval.')
+
+  var debounced = []
+  EE.on('debounced', function (value) {
+    debounced.push(value)
+  }, { debounce: 20 })
+
+  EE.emit('debounced', 1)
+  EE.emit('debounced', 2)
+  EE.emit('debounced', 3)
+
+  setTimeout(function () {
+    t.ok(debounced.length === 1 && debounced[0] === 3, 'Debounced handler executes once with the latest payload.')
+    t.end()
+  }, 60)
+})
+
+test('NGN.EventEmitter Leak Detection', function (t) {
+  var EE = new NGN.EventEmitter({ debug: true })
+  var warn = console.warn
+  var warnings = 0
+
+  console.warn = function () {
+    warnings++
+  }
+
+  EE.setMaxListeners(2, 'render')
+  t.ok(EE.getMaxListeners('render') === 2 && EE.getMaxListeners() === 25, 'Event-specific listener limits do not affect the default limit.')
+
+  function mount () {
+    EE.on('render', function () {})
+  }
+
+  for (var i = 0; i < 5; i++) {
+    mount()
+  }
+
+  console.warn = warn
+
+  t.ok(EE.listenerCount('render') === 5, 'The warn policy does not prevent listeners from being added.')
+  t.ok(warnings === 1, 'The warn policy only warns once per event.')
+
+  var report = EE.leakReport()
+  t.ok(report.length === 1 && report[0].event === 'render' && report[0].count === 5 && report[0].limit === 2, 'leakReport() identifies events exceeding their limit.')
+  t.ok(report[0].growth === 5, 'leakReport() tracks listener growth.')
+  t.ok(report[0].sites.length === 1 && report[0].sites[0].count === 5 && report[0].sites[0].site.indexOf('mount') >= 0, 'leakReport() identifies the call sites which added the listeners.')
+
+  var lifecycle = []
+  EE.on('newListener', function (eventName) {
+    lifecycle.push(eventName)
+  })
+
+  EE.leakPolicy = 'throw'
+  t.throws(function () {
+    mount()
+  }, /Maximum event listeners/, 'The throw policy throws when the limit is exceeded.')
+  t.ok(EE.listenerCount('render') === 5, 'The throw policy does not add the listener.')
+  t.ok(lifecycle.join() === 'newListener', 'The throw policy rejects the listener before newListener is triggered.')
+
+  EE.setMaxListeners(1, 'closed')
+  EE.on('closed', function () {})
+  t.throws(function () {
+    EE.once('closed', function () {})
+  }, /Maximum event listeners/, 'The throw policy applies to one-time handlers.')
+
+  EE.leakPolicy = 'ignore'
+  t.doesNotThrow(mount, 'The ignore policy does not throw.')
+
+  t.throws(function () {
+    EE.leakPolicy = 'explode'
+  }, 'Invalid leak policies are rejected.')
+
+  EE.clear('render')
+  t.ok(EE.leakReport().length === 0, 'Removing the listeners clears the leak report.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Instrumentation', function (t) {
+  var EE = new NGN.EventEmitter({ instrument: true, slowHandlerThreshold: 5 })
+  var slow = null
+
+  function fast () {}
+  function sluggish () {
+    var start = Date.now()
+    while (Date.now() - start < 12) {}
+  }
+
+  EE.on('slowhandler', function (detail) {
+    slow = detail
+  })
+
+  EE.on('task.*', fast)
+  EE.on('task.run', sluggish)
+  EE.on('task.fail', function () {
+    throw new Error('Failed')
+  })
+
+  EE.emit('task.run')
+  EE.emit('task.run')
+
+  t.throws(function () {
+    EE.emit('task.fail')
+  }, /Failed/, 'Instrumentation does not swallow errors.')
+
+  var stats = EE.stats()
+
+  t.ok(stats.events['task.run'].count === 4, 'Records the number of handler executions per event.')
+  t.ok(stats.events['task.run'].max >= 10 && stats.events['task.run'].total >= 20, 'Records the run time per event.')
+  t.ok(stats.events['task.fail'].lastError.message === 'Failed', 'Records the last error per event.')
+
+  var handler = stats.handlers.filter(function (item) {
+    return item.handler === fast
+  })[0]
+
+  t.ok(handler.event === 'task.*' && handler.count === 3, 'Records the number of executions per handler.')
+  t.ok(slow !== null && slow.event === 'task.run' && slow.handler === sluggish && slow.duration >= 10, 'Triggers a slowhandler event for slow handlers.')
+
+  EE.resetStats()
+  t.ok(Object.keys(EE.stats().events).length === 0, 'resetStats() discards the statistics.')
+
+  EE.instrument = false
+  EE.emit('task.run')
+  t.ok(Object.keys(EE.stats().events).length === 0, 'Statistics are not recorded when instrumentation is disabled.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Listener Lifecycle Events', function (t) {
+  var EE = new NGN.EventEmitter()
+  var removed = []
+  var first = []
+  var last = []
+
+  function handler () {}
+
+  EE.on('removeListener', function (eventName, fn) {
+    removed.push(eventName)
+  })
+
+  EE.on('firstListener', function (eventName) {
+    first.push(eventName)
+  })
+
+  EE.on('lastListenerRemoved', function (eventName) {
+    last.push(eventName)
+  })
+
+  EE.on('stream', handler)
+  EE.on('stream', function () {})
+  EE.once('stream', function () {})
+  t.ok(first.length === 1 && first[0] === 'stream', 'firstListener is triggered once, when the first handler is added.')
+
+  EE.emit('stream')
+  t.ok(removed.length === 1 && removed[0] === 'stream', 'removeListener is triggered when a one-time handler is consumed.')
+
+  EE.off('stream', handler)
+  t.ok(removed.length === 2 && last.length === 0, 'removeListener is triggered by off().')
+
+  EE.clear('stream')
+  t.ok(removed.length === 3, 'removeListener is triggered by clear().')
+  t.ok(last.length === 1 && last[0] === 'stream', 'lastListenerRemoved is triggered when the last handler is removed.')
+
+  var sub = EE.on('other', handler)
+  sub.unsubscribe()
+  t.ok(removed.length === 4 && last.length === 2 && first.length === 2, 'Lifecycle events are triggered by subscription handles.')
+
+  EE.on('remaining', handler)
+  removed = []
+  EE.clear()
+  t.ok(removed.indexOf('remaining') >= 0 && removed.indexOf('firstListener') >= 0, 'clear() triggers removeListener for every handler when all handlers are removed.')
+  t.ok(EE.listenerCount('removeListener') === 0, 'clear() removes the removeListener handlers last.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Child Emitters', function (t) {
+  var parent = new NGN.EventEmitter()
+  var child = parent.createChild({ prefix: 'cart.', trickle: true })
+  var sibling = parent.createChild({ prefix: 'user.' })
+  var received = []
+
+  t.ok(child instanceof NGN.EventEmitter, 'createChild() returns an NGN.EventEmitter.')
+
+  var strict = new NGN.EventEmitter({ isolateErrors: true, leakPolicy: 'throw' })
+
+  var inherited = strict.createChild()
+  var overridden = strict.createChild({ isolateErrors: false, leakPolicy: 'ignore' })
+
+  t.ok(inherited.isolateErrors === true && inherited.leakPolicy === 'throw', 'Children inherit the error isolation and leak policy of the parent.')
+  t.ok(overridden.isolateErrors === false && overridden.leakPolicy === 'ignore', 'Children can override the error isolation and leak policy of the parent.')
+
+  parent.on('cart.add', function (item) {
+    received.push('parent:' + item)
+  })
+
+  child.on('add', function (item) {
+    received.push('child:' + item)
+  })
+
+  child.emit('add', 'apple')
+  t.ok(received.join() === 'child:apple,parent:apple', 'Child events bubble up to the parent with the prefix applied.')
+
+  received = []
+  child.once('add', function () {
+    this.stopPropagation()
+  }, { priority: 10 })
+  child.emit('add', 'pear')
+  t.ok(received.length === 0, 'stopPropagation() prevents bubbling.')
+
+  received = []
+  parent.on('cart.checkout', function () {
+    this.preventDefault()
+  })
+  t.ok(child.emit('checkout').cancelled, 'Parent handlers can prevent the default of child events.')
+
+  child.on('clear', function () {
+    received.push('child:clear')
+  })
+  sibling.on('clear', function () {
+    received.push('sibling:clear')
+  })
+  parent.emit('cart.clear')
+  parent.emit('user.clear')
+  t.ok(received.join() === 'child:clear', 'Parent events trickle down to children (within the prefix) when enabled.')
+
+  received = []
+  child.detach()
+  child.emit('add', 'plum')
+  t.ok(received.join() === 'child:plum', 'Detached children no longer bubble events.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter RegExp Subscriptions', function (t) {
+  var EE = new NGN.EventEmitter()
+  var heard = []
+
+  function handler () {
+    heard.push(this.event + ':' + this.match[1])
+  }
+
+  EE.on(/^user\.(login|logout)$/g, handler)
+
+  EE.emit('user.login')
+  EE.emit('user.logout')
+  EE.emit('user.logout')
+  EE.emit('user.signup')
+  t.ok(heard.join() === 'user.login:login,user.logout:logout,user.logout:logout', 'RegExp handlers respond to matching events and receive the capture groups.')
+  t.ok(EE.listenerCount(/^user\.(login|logout)$/g) === 1, 'RegExp handlers are counted by expression.')
+
+  var matched = null
+  EE.once(/^task\.(\d+)$/, function (id) {
+    matched = this.match[1] + ':' + id
+  })
+  EE.emit('task.42', 'x')
+  t.ok(matched === '42:x' && EE.listenerCount(/^task\.(\d+)$/) === 0, 'One-time RegExp handlers are supported.')
+
+  EE.off(/^user\.(login|logout)$/g, handler)
+  heard = []
+  EE.emit('user.login')
+  t.ok(heard.length === 0 && EE.listenerCount(/^user\.(login|logout)$/g) === 0, 'RegExp handlers can be removed by expression.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Streams', function (t) {
+  var EE = new NGN.EventEmitter()
+  var stream = EE.stream('chat.message', { buffer: 2 })
+
+  EE.emit('chat.message', 'a')
+  EE.emit('chat.message', 'b')
+  EE.emit('chat.message', 'c')
+
+  stream.next().then(function (result) {
+    t.ok(result.value === 'b' && !result.done, 'The oldest payload is dropped when the buffer overflows.')
+    return stream.next()
+  }).then(function (result) {
+    t.ok(result.value === 'c', 'Buffered payloads are delivered in order.')
+
+    var next = stream.next()
+    EE.emit('chat.message', 'd')
+    return next
+  }).then(function (result) {
+    t.ok(result.value === 'd', 'Pending consumers receive the next payload.')
+    return stream.return()
+  }).then(function (result) {
+    t.ok(result.done && EE.listenerCount('chat.message') === 0, 'Ending the iteration removes the handler.')
+
+    var strict = EE.stream('alert', { buffer: 1, overflow: 'error' })
+    EE.emit('alert', 1)
+    EE.emit('alert', 2)
+
+    return strict.next().then(function (result) {
+      t.ok(result.value === 1, 'Buffered payloads are delivered before an overflow error.')
+      return strict.next()
+    }).then(function () {
+      t.fail('An overflow error should be thrown.')
+    }, function (err) {
+      t.ok(/overflowed/.test(err.message) && EE.listenerCount('alert') === 0, 'The error overflow policy fails the stream.')
+    })
+  }).then(function () {
+    if (typeof AbortController === 'undefined') {
+      return
+    }
+
+    var controller = new AbortController()
+    var aborted = EE.stream('tick', { signal: controller.signal })
+    var next = aborted.next()
+
+    controller.abort()
+
+    return next.then(function (result) {
+      t.ok(result.done && EE.listenerCount('tick') === 0, 'Aborting the signal ends the stream.')
+    })
+  }).then(function () {
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGN.EventEmitter Operator Pipelines', function (t) {
+  var EE = new NGN.EventEmitter()
+  var queries = []
+
+  EE.on('search.query', function (query) {
+    queries.push(query)
+  })
+
+  var subscription = EE.from('search.input')
+    .map(function (input) { return input.trim() })
+    .filter(function (query) { return query.length > 1 })
+    .distinct()
+    .to('search.query')
+
+  EE.emit('search.input', ' ng ')
+  EE.emit('search.input', 'ng')
+  EE.emit('search.input', 'n')
+  EE.emit('search.input', 'ngn')
+  t.ok(queries.join() === 'ng,ngn', 'map, filter and distinct operators are applied before re-emitting.')
+
+  subscription.unsubscribe()
+  t.ok(subscription.closed && EE.listenerCount('search.input') === 0, 'Unsubscribing removes the handlers.')
+
+  var latest = []
+  EE.from(['a', 'b'], { combine: 'combineLatest' }).subscribe(function (values) {
+    latest.push(values.join('+'))
+  })
+  EE.emit('a', 1)
+  EE.emit('a', 2)
+  EE.emit('b', 3)
+  EE.emit('a', 4)
+  t.ok(latest.join() === '2+3,4+3', 'combineLatest combines the most recent values.')
+
+  var zipped = []
+  EE.from(['x', 'y'], { combine: 'zip' }).subscribe(function (values) {
+    zipped.push(values.join('+'))
+  })
+  EE.emit('x', 1)
+  EE.emit('x', 2)
+  EE.emit('y', 3)
+  EE.emit('y', 4)
+  t.ok(zipped.join() === '1+3,2+4', 'zip pairs values in order.')
+
+  var observableKey = (typeof Symbol === 'function' && Symbol.observable) || '@@observable'
+  var pipeline = EE.from('tick')
+  t.ok(pipeline[observableKey]() === pipeline, 'Pipelines are observable.')
+
+  var errors = []
+  EE.from('fail').map(function () { throw new Error('Operator failed') }).subscribe({
+    error: function (err) { errors.push(err.message) }
+  })
+  EE.emit('fail')
+  t.ok(errors.join() === 'Operator failed' && EE.listenerCount('fail') === 0, 'Operator errors are passed to the observer and end the subscription.')
+
+  var completed = false
+  var observed = EE.from('tick').subscribe({
+    complete: function () {
+      completed = true
+    }
+  })
+  observed.unsubscribe()
+  t.ok(observed.closed && !completed, 'Unsubscribing does not complete the observer.')
+
+  var debounced = []
+  EE.from('resize').debounce(20).subscribe(function (value) {
+    debounced.push(value)
+  })
+  EE.emit('resize', 1)
+  EE.emit('resize', 2)
+
+  setTimeout(function () {
+    t.ok(debounced.join() === '2', 'debounce passes on the most recent value.')
+    t.end()
+  }, 60)
+})
+
+test('NGN.EventEmitter Mixin', function (t) {
+  var cart = NGN.EventEmitter.mixin({ items: [] })
+  var other = NGN.EventEmitter.mixin({})
+
+  cart.on('add', function (item) {
+    cart.items.push(item)
+  })
+
+  cart.emit('add', 'apple')
+  other.emit('add', 'pear')
+
+  t.ok(cart.items.join() === 'apple', 'The event API is applied to plain objects.')
+  t.ok(cart.listenerCount('add') === 1 && other.listenerCount('add') === 0, 'Listeners are stored per target.')
+  t.ok(Object.keys(cart).join() === 'items', 'The event API is not enumerable.')
+  t.ok(NGN.EventEmitter.mixin(cart) === cart && cart.listenerCount('add') === 1, 'Applying the mixin twice has no effect.')
+
+  var native = function () {}
+  var element = NGN.EventEmitter.mixin({ addEventListener: native, emit: native })
+  t.ok(element.addEventListener === native && element.emit === native && typeof element.on === 'function', 'Existing members are not overridden.')
+
+  t.throws(function () {
+    NGN.EventEmitter.mixin('invalid')
+  }, 'Primitive targets are rejected.')
+
+  t.end()
+})
+
+test('NGN.EventEmitter Topology', function (t) {
+  var EE = new NGN.EventEmitter()
+
+  function renderView () {}
+
+  EE.on('topology.login', renderView)
+  var forward = EE.forward('topology.login', 'topology.audit')
+  var funnel = EE.funnel(['topology.a', 'topology.b'], 'topology.ready')
+  var threshold = EE.threshold('topology.click', 3, 'topology.rage')
+
+  var graph = EE.topology()
+  var listener = graph.listeners.filter(function (item) {
+    return item.handler === 'renderView'
+  })[0]
+
+  t.ok(listener && listener.event === 'topology.login' && !listener.once, 'Listeners are included in the graph.')
+  t.ok(graph.relationships.filter(function (item) {
+    return item.type === 'funnel' && item.to === 'topology.ready'
+  }).length === 2, 'Funnels are included in the graph.')
+  t.ok(graph.relationships.filter(function (item) {
+    return item.type === 'threshold' && item.from === 'topology.click' && item.limit === 3
+  }).length === 1, 'Thresholds are included in the graph.')
+  t.ok(graph.relationships.filter(function (item) {
+    return item.type === 'forward' && item.from === 'topology.login' && item.to === 'topology.audit'
+  }).length === 1, 'Forwarded events are included in the graph before they occur.')
+  t.ok(Object.keys(EE).indexOf('forward') < 0, 'Recording forwarded events does not add enumerable members.')
+
+  EE.emit('topology.login')
+  graph = EE.topology()
+  t.ok(graph.events.indexOf('topology.audit') >= 0 && graph.listeners.filter(function (item) {
+    return item.emits.indexOf('topology.audit') >= 0
+  }).length === 1, 'Forwarded events are traced once they occur.')
+
+  var dot = graph.toDOT()
+  t.ok(dot.indexOf('digraph events {') === 0 && dot.indexOf('label="topology.login"') > 0 && dot.indexOf('[style=dashed]') > 0, 'The graph renders to DOT.')
+
+  var mermaid = graph.toMermaid()
+  t.ok(mermaid.indexOf('graph LR') === 0 && mermaid.indexOf('["topology.ready"]') > 0 && mermaid.indexOf('-->|threshold (3)|') > 0, 'The graph renders to Mermaid.')
+
+  forward.remove()
+  t.ok(EE.topology().relationships.filter(function (item) {
+    return item.type === 'forward'
+  }).length === 0, 'Removed forwards are not included in the graph.')
+
+  funnel.remove()
+  threshold.remove()
+  t.end()
+})
+
+test('NGN.EventEmitter Cross-Tab Sharing', function (t) {
+  if (typeof BroadcastChannel === 'undefined') {
+    t.pass('BroadcastChannel is not supported in this environment.')
+    return t.end()
+  }
+
+  var tabA = new NGN.EventEmitter()
+  var tabB = new NGN.EventEmitter()
+  var shareA = tabA.share(['auth.*', 'auth.logout'], { channel: 'ngn-test' })
+  var shareB = tabB.share('auth.*', { channel: 'ngn-test' })
+  var local = []
+  var origins = []
+
+  t.ok(tabA.eventNames().length === 0, 'Sharing events does not add listeners.')
+
+  tabA.on('auth.logout', function () {
+    local.push(this.origin)
+  })
+
+  tabB.on('auth.logout', function (user) {
+    origins.push(this.origin + ':' + user.name)
+  })
+
+  tabB.on('cart.add', function () {
+    origins.push('cart')
+  })
+
+  tabA.emit('auth.logout', { name: 'me', fn: function () {} })
+  tabA.emit('cart.add')
+
+  setTimeout(function () {
+    t.ok(local.join() === 'local', 'Local handlers receive local events once (no loop back).')
+    t.ok(origins.join() === 'tab:me', 'Matching events are relayed (once) to other tabs with a remote origin.')
+
+    t.throws(function () {
+      var payload = {}
+      payload.self = payload
+      tabA.emit('auth.login', payload)
+    }, /not JSON-safe/, 'Payloads which cannot be serialized are rejected.')
+
+    shareA.close()
+    shareB.close()
+    t.doesNotThrow(function () {
+      tabA.emit('auth.logout', { fn: function () {} })
+    }, 'Closing the share removes the relay.')
+    t.end()
+  }, 50)
+})
+
+test('NGN.EventEmitter Cross-Tab Sharing (localStorage)', function (t) {
+  if (typeof localStorage === 'undefined' || typeof window.StorageEvent === 'undefined') {
+    t.pass('localStorage is not supported in this environment.')
+    return t.end()
+  }
+
+  var BroadcastChannelClass = window.BroadcastChannel
+  var setItem = window.Storage.prototype.setItem
+  var EE = new NGN.EventEmitter()
+  var sent = []
+  var heard = []
+  var shared
+
+  window.BroadcastChannel = undefined
+
+  try {
+    shared = EE.share(['auth.*', 'auth.logout'], { channel: 'ngn-storage-test' })
+  } finally {
+    window.BroadcastChannel = BroadcastChannelClass
+  }
+
+  EE.on('auth.logout', function (user) {
+    heard.push(this.origin + ':' + user.name)
+  })
+
+  window.Storage.prototype.setItem = function (key, value) {
+    sent.push({ key: key, value: value })
+    return setItem.apply(this, arguments)
+  }
+
+  try {
+    EE.emit('auth.logout', { name: 'me' })
+  } finally {
+    window.Storage.prototype.setItem = setItem
+  }
+
+  t.ok(sent.length === 1 && sent[0].key === 'ngn.share.ngn-storage-test', 'Events are relayed (once) through localStorage without BroadcastChannel.')
+  t.ok(localStorage.getItem('ngn.share.ngn-storage-test') === null, 'Relayed messages are removed from localStorage.')
+
+  // Storage events are only triggered in other tabs, so one is simulated.
+  var message = JSON.parse(sent[0].value)
+  message.source = 'other'
+
+  var receive = function () {
+    window.dispatchEvent(new window.StorageEvent('storage', {
+      key: 'ngn.share.ngn-storage-test',
+      newValue: JSON.stringify(message)
+    }))
+  }
+
+  receive()
+  t.ok(heard.join() === 'local:me,tab:me', 'Events from other tabs are received through storage events.')
+
+  shared.close()
+  receive()
+  t.ok(heard.length === 2, 'Closing the share stops receiving storage events.')
+  t.end()
+})
+
+test('NGN.EventEmitter Worker Bridge', function (t) {
+  if (typeof MessageChannel === 'undefined') {
+    t.pass('MessageChannel is not supported in this environment.')
+    return t.end()
+  }
+
+  var EE = new NGN.EventEmitter()
+  var workerPort = null
+  var toWorker = []
+  var fromWorker = []
+
+  // A stand-in for the worker shim.
+  var worker = {
+    postMessage: function (message, transfer) {
+      if (message.ngn === 'connect') {
+        workerPort = transfer[0]
+        workerPort.onmessage = function (event) {
+          toWorker.push(event.data.event)
+        }
+      }
+    }
+  }
+
+  var bridge = EE.connectWorker(worker, {
+    publish: ['csv.parse', 'csv.*'],
+    subscribe: [/^csv\.(parsed|failed)$/]
+  })
+
+  t.ok(EE.eventNames().length === 0, 'Connecting a worker does not add listeners.')
+
+  EE.on('csv.parsed', function (rows) {
+    fromWorker.push(this.origin + ':' + rows.length)
+  })
+
+  EE.on('csv.progress', function () {
+    fromWorker.push('progress')
+  })
+
+  EE.emit('csv.parse', 'a,b')
+  EE.emit('csv.other')
+
+  t.throws(function () {
+    EE.emit('csv.parse', function () {})
+  }, /cannot be cloned/, 'Payloads which cannot be cloned are rejected.')
+
+  workerPort.postMessage({ ngn: 'event', event: 'csv.parsed', payload: [[1, 2]] })
+  workerPort.postMessage({ ngn: 'event', event: 'csv.progress', payload: [] })
+  workerPort.postMessage({ ngn: 'event', event: 'csv.parsed', payload: 'invalid' })
+
+  setTimeout(function () {
+    t.ok(toWorker.join() === 'csv.parse,csv.other', 'Published events are sent to the worker (once).')
+    t.ok(fromWorker.join() === 'worker:2', 'Subscribed events (with a valid payload) are received from the worker with a worker origin.')
+
+    bridge.close()
+    t.doesNotThrow(function () {
+      EE.emit('csv.parse', function () {})
+    }, 'Closing the bridge removes the relay.')
+    t.end()
+  }, 50)
+})
+
+test('NGN.EventEmitter Worker Shim', {
+  timeout: 5000
+}, function (t) {
+  if (typeof window.Worker === 'undefined' || typeof window.Blob === 'undefined' || typeof window.URL === 'undefined' || typeof MessageChannel === 'undefined') {
+    t.pass('Web Workers are not supported in this environment.')
+    return t.end()
+  }
+
+  // The worker loads the shim served by the test runner.
+  var script = [
+    'importScripts("' + window.location.protocol + '//' + window.location.host + '/base/src/pattern.js", "' + window.location.protocol + '//' + window.location.host + '/base/src/worker.js")',
+    'NGN.BUS.on("csv.*", function (text) {',
+    '  NGN.BUS.emit("result.parsed", this.origin, text.split(","))',
+    '})',
+    'NGN.BUS.on(/^ping$/g, function () {',
+    '  NGN.BUS.emit("result.pong")',
+    '})'
+  ].join('\n')
+
+  var worker = new window.Worker(window.URL.createObjectURL(new window.Blob([script], { type: 'application/javascript' })))
+  var EE = new NGN.EventEmitter()
+  var heard = []
+
+  var bridge = EE.connectWorker(worker, {
+    publish: ['csv.parse', 'ping'],
+    subscribe: 'result.*'
+  })
+
+  var done = function () {
+    if (heard.length < 3) {
+      return
+    }
+
+    t.ok(heard[0] === 'worker:main:a|b', 'Wildcard handlers within the worker receive events from the main thread.')
+    t.ok(heard.slice(1).join() === 'pong,pong', 'Global regular expressions match every event within the worker.')
+
+    bridge.close()
+    worker.terminate()
+    t.end()
+  }
+
+  EE.on('result.parsed', function (origin, rows) {
+    heard.push(this.origin + ':' + origin + ':' + rows.join('|'))
+    done()
+  })
+
+  EE.on('result.pong', function () {
+    heard.push('pong')
+    done()
+  })
+
+  EE.emit('csv.parse', 'a,b')
+  EE.emit('ping')
+  EE.emit('ping')
+})
+
+test('NGN.EventEmitter Frame Bridge', function (t) {
+  var EE = new NGN.EventEmitter()
+
+  t.throws(function () {
+    EE.bridgeFrame(window, { origin: '*' })
+  }, /specific origin is required/, 'Wildcard origins are rejected.')
+
+  if (typeof window.postMessage !== 'function' || !window.location) {
+    t.pass('window.postMessage is not supported in this environment.')
+    return t.end()
+  }
+
+  // Bridge the window to itself, so events sent to the "frame" are
+  // received from the "frame".
+  var origins = []
+  var bridge = EE.bridgeFrame(window, {
+    origin: window.location.origin,
+    allow: ['cart.*', 'cart.add'],
+    deny: ['cart.secret']
+  })
+
+  t.ok(EE.eventNames().length === 0, 'Bridging a frame does not add listeners.')
+
+  EE.on('cart.*', function () {
+    origins.push(this.event + ':' + this.origin)
+  })
+
+  EE.emit('cart.add')
+  EE.emit('cart.secret')
+  EE.emit('user.login')
+
+  t.throws(function () {
+    EE.emit('cart.remove', function () {})
+  }, /structured clone/, 'Payloads which cannot be cloned are rejected.')
+
+  setTimeout(function () {
+    t.ok(bridge.connected, 'The bridge completes the handshake.')
+    t.ok(origins.join() === 'cart.add:local,cart.secret:local,cart.remove:local,cart.add:frame', 'Only allowed events are exchanged (once) with the other window.')
+
+    window.postMessage({ ngn: 'bridge', type: 'event', event: 'cart.add', payload: 'invalid' }, window.location.origin)
+
+    setTimeout(function () {
+      t.ok(origins.length === 4, 'Events without an array payload are ignored.')
+
+      bridge.close()
+      t.doesNotThrow(function () {
+        EE.emit('cart.remove', function () {})
+      }, 'Closing the bridge removes the relay.')
+
+      // The close message is delivered to every bridge of this window,
+      // so it is received before the next bridge is created.
+      setTimeout(function () {
+        // A queued event which cannot be sent does not prevent the
+        // remainder of the queue from being sent.
+        var postMessage = window.postMessage
+        var queued = new NGN.EventEmitter()
+        var received = []
+        var errors = []
+
+        window.postMessage = function (message) {
+          if (message.event === 'cart.fail') {
+            throw new Error('Post failure')
+          }
+
+          return postMessage.apply(window, arguments)
+        }
+
+        queued.on('error', function (err) {
+          errors.push(err.message)
+        })
+
+        queued.on('cart.*', function () {
+          received.push(this.event + ':' + this.origin)
+        })
+
+        var retry = queued.bridgeFrame(window, {
+          origin: window.location.origin,
+          allow: ['cart.*']
+        })
+
+        queued.emit('cart.fail')
+        queued.emit('cart.after')
+
+        setTimeout(function () {
+          window.postMessage = postMessage
+
+          t.ok(errors.length === 1 && /cart\.fail/.test(errors[0]), 'Queued events which cannot be sent are reported as errors.')
+          t.ok(received.join() === 'cart.fail:local,cart.after:local,cart.after:frame', 'The remaining queued events are sent.')
+
+          retry.close()
+          setTimeout(t.end, 10)
+        }, 100)
+      }, 10)
+    }, 50)
+  }, 100)
+})
+
+test('NGN.EventEmitter Frame Bridge Queue', function (t) {
+  if (typeof window.postMessage !== 'function' || !window.location) {
+    t.pass('window.postMessage is not supported in this environment.')
+    return t.end()
+  }
+
+  var EE = new NGN.EventEmitter()
+  var received = []
+
+  t.throws(function () {
+    EE.bridgeFrame(window, { origin: 'invalid' })
+  }, /not a valid URL/, 'Invalid origins are rejected.')
+
+  EE.on('cart.*', function () {
+    if (this.origin === 'frame') {
+      received.push(this.event)
+    }
+  })
+
+  // The origin is normalized, so the trailing slash does not prevent
+  // the handshake.
+  var bridge = EE.bridgeFrame(window, {
+    origin: window.location.origin + '/',
+    allow: ['cart.*'],
+    buffer: 1
+  })
+
+  EE.emit('cart.first')
+  EE.emit('cart.second')
+
+  var structuredCloneMethod = window.structuredClone
+
+  window.structuredClone = undefined
+
+  try {
+    t.throws(function () {
+      EE.emit('cart.invalid', function () {})
+    }, /structured clone/, 'Queued payloads are validated without structuredClone.')
+  } finally {
+    window.structuredClone = structuredCloneMethod
+  }
+
+  setTimeout(function () {
+    t.ok(bridge.connected, 'The bridge completes the handshake with a normalized origin.')
+    t.ok(received.join() === 'cart.second', 'The oldest queued events are discarded when the queue is full.')
+
+    // Simulate the other window closing its bridge.
+    window.postMessage({ ngn: 'bridge', type: 'close' }, window.location.origin)
+
+    setTimeout(function () {
+      t.ok(!bridge.connected, 'The bridge disconnects when the other window closes its bridge.')
+
+      EE.emit('cart.discarded')
+
+      window.postMessage({ ngn: 'bridge', type: 'hello' }, window.location.origin)
+
+      setTimeout(function () {
+        EE.emit('cart.reconnected')
+
+        setTimeout(function () {
+          t.ok(received.join() === 'cart.second,cart.reconnected', 'Events are not queued after the other window closes its bridge.')
+
+          bridge.close()
+          setTimeout(t.end, 10)
+        }, 50)
+      }, 50)
+    }, 50)
+  }, 100)
+})